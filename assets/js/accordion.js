@@ -0,0 +1,267 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Accordion
+  |--------------------------------------------------------------------------
+  |
+  | The theme's FAQ accordions (.cs_accordian), started by main.js as
+  | `Sadouni.accordion.init($('.cs_accordian'))`. Markup:
+  |
+  |   [data-accordion]                       a group, with a box to filter
+  |                                          its questions and an "expand
+  |                                          all" button above it
+  |     .cs_accordian [id] [.active]         a question, open at first
+  |                                          when .active
+  |       .cs_accordian_head
+  |         .cs_accordian_title              the question
+  |         .cs_accordian_toggle             the + icon
+  |       .cs_accordian_body                 the answer
+  |
+  | Accordions outside a [data-accordion] are grouped by their parent,
+  | without the filter box. The title becomes a button that shows and
+  | hides the answer (aria-expanded, aria-controls); ↑ ↓ Home and End go
+  | from one question to another in the group. Opening a question closes
+  | the others unless several are already open ("expand all").
+  |
+  | Each question can be linked to: #<id>, or #faq-<n> for the nth
+  | question of the page when it has no id (tools/build.js numbers them
+  | the same way for the search). The question of the address is opened,
+  | and opening one puts it in the address.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var ID_PREFIX = 'faq-';
+  var OPEN_SPEED = 400;
+  var CLOSE_SPEED = 250;
+  var REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+  var KEYS = { ArrowUp: -1, ArrowDown: 1 };
+
+  function t(key, params) {
+    return Sadouni.i18n ? Sadouni.i18n.t('faq.' + key, params) : key;
+  }
+
+  function prefersReducedMotion() {
+    return !!window.matchMedia && window.matchMedia(REDUCED_MOTION).matches;
+  }
+
+  // Accents, case and Arabic diacritics don't count when filtering
+  function fold(text) {
+    return Sadouni.searchEngine ? Sadouni.searchEngine.fold(text) : String(text).toLowerCase();
+  }
+
+  /*--------------------------------------------------------------
+    1. Questions
+  --------------------------------------------------------------*/
+  function button($item) {
+    return $item.find('.cs_accordian_button');
+  }
+
+  function group($item) {
+    var $group = $item.closest('[data-accordion]');
+    return $group.length ? $group : $item.parent();
+  }
+
+  function questions($group) {
+    return $group.find('.cs_accordian');
+  }
+
+  function setOpen($item, open, animate) {
+    var $body = $item.children('.cs_accordian_body').stop(true, true);
+    var speed = animate && !prefersReducedMotion() ? (open ? OPEN_SPEED : CLOSE_SPEED) : 0;
+    $item.toggleClass('active', open);
+    button($item).attr('aria-expanded', open ? 'true' : 'false');
+    if (open) {
+      $body.slideDown(speed);
+    } else {
+      $body.slideUp(speed);
+    }
+  }
+
+  // The question, and the others closed unless several are open
+  function open($item, animate) {
+    var $others = questions(group($item)).not($item);
+    if ($others.filter('.active').length <= 1) {
+      $others.filter('.active').each(function () {
+        setOpen($(this), false, animate);
+      });
+    }
+    setOpen($item, true, animate);
+  }
+
+  function prepare($item, number) {
+    var id = $item.attr('id') || ID_PREFIX + number;
+    var $body = $item.children('.cs_accordian_body');
+    var $button = $('<button>', {
+      type: 'button',
+      class: 'cs_accordian_button',
+      id: id + '-question',
+      'aria-controls': id + '-answer',
+    });
+
+    $item.attr('id', id);
+    $item.find('.cs_accordian_title').wrapInner($button);
+    $item.find('.cs_accordian_toggle').attr('aria-hidden', 'true');
+    $body.attr('id', id + '-answer');
+    setOpen($item, $item.hasClass('active'), false);
+  }
+
+  /*--------------------------------------------------------------
+    2. Deep Links
+  --------------------------------------------------------------*/
+  function fromHash() {
+    try {
+      return decodeURIComponent(window.location.hash.slice(1));
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // Opening a question puts it in the address without adding to history
+  function remember(id) {
+    if (window.history.replaceState) {
+      // Relative to the path, not to <base href> on translated pages
+      window.history.replaceState(null, '', window.location.pathname + window.location.search + '#' + id);
+    }
+  }
+
+  function reveal($items) {
+    var id = fromHash();
+    var $item = id ? $items.filter('[id="' + id.replace(/["\\]/g, '') + '"]') : $();
+    if (!$item.length) {
+      return;
+    }
+    if ($item.prop('hidden')) {
+      group($item).prev('.cs_accordian_tools').find('input').val('').trigger('input');
+    }
+    open($item, false);
+    button($item).trigger('focus');
+  }
+
+  /*--------------------------------------------------------------
+    3. Filter and Expand All
+  --------------------------------------------------------------*/
+  function tools($group) {
+    var $input = $('<input>', { type: 'search', class: 'cs_form_field', placeholder: t('placeholder') });
+    var $expand = $('<button>', { type: 'button', class: 'cs_accordian_expand cs_fs_16 cs_semibold' });
+    var $status = $('<p>', { class: 'cs_accordian_status cs_fs_16', role: 'status' });
+    var $tools = $('<div>', { class: 'cs_accordian_tools' }).append(
+      $('<label>', { class: 'cs_accordian_filter' }).append(
+        $('<span>', { class: 'visually-hidden', text: t('filter') }),
+        $('<i>', { class: 'fa-solid fa-magnifying-glass', 'aria-hidden': 'true' }),
+        $input,
+      ),
+      $expand,
+      $status,
+    );
+
+    function visible() {
+      return questions($group).filter(function () {
+        return !this.hidden;
+      });
+    }
+
+    function refresh() {
+      var $shown = visible();
+      var allOpen = $shown.length > 0 && $shown.not('.active').length === 0;
+      $expand.text(t(allOpen ? 'collapse' : 'expand')).prop('disabled', !$shown.length);
+    }
+
+    $input.on('input', function () {
+      var query = $.trim($input.val());
+      var words = fold(query).split(/\s+/).filter(Boolean);
+      questions($group).each(function () {
+        var text = fold($(this).text());
+        this.hidden = !words.every(function (word) {
+          return text.indexOf(word) !== -1;
+        });
+      });
+      var count = visible().length;
+      $status.text(!words.length ? '' : !count ? t('empty', { query: query }) : t(count === 1 ? 'match' : 'matches', { count: count }));
+      refresh();
+    });
+    $input.on('keydown', function (event) {
+      if (event.key === 'Escape' && $input.val()) {
+        event.preventDefault();
+        $input.val('').trigger('input');
+      }
+    });
+    $expand.on('click', function () {
+      var $shown = visible();
+      var openAll = $shown.not('.active').length > 0;
+      $shown.each(function () {
+        setOpen($(this), openAll, true);
+      });
+      refresh();
+    });
+    $group.on('click', '.cs_accordian_head', refresh);
+
+    refresh();
+    $group.before($tools);
+  }
+
+  /*--------------------------------------------------------------
+    4. Accordions
+  --------------------------------------------------------------*/
+  // ↑ ↓ Home End between the questions of the group still shown
+  function move(event) {
+    var $item = $(this).closest('.cs_accordian');
+    var $buttons = questions(group($item))
+      .filter(function () {
+        return !this.hidden;
+      })
+      .find('.cs_accordian_button');
+    var index = $buttons.index(this);
+    var target;
+    if (KEYS[event.key]) {
+      target = ($buttons.length + index + KEYS[event.key]) % $buttons.length;
+    } else if (event.key === 'Home' || event.key === 'End') {
+      target = event.key === 'Home' ? 0 : $buttons.length - 1;
+    } else {
+      return;
+    }
+    event.preventDefault();
+    $buttons.eq(target).trigger('focus');
+  }
+
+  function init($items) {
+    var groups = [];
+
+    $items.each(function (index) {
+      prepare($(this), index + 1);
+      var $group = group($(this));
+      if (groups.indexOf($group[0]) === -1) {
+        groups.push($group[0]);
+      }
+    });
+    $.each(groups, function (_, element) {
+      if ($(element).is('[data-accordion]')) {
+        tools($(element));
+      }
+    });
+
+    // The whole bar opens the question, not only its text
+    $items.children('.cs_accordian_head').on('click', function () {
+      var $item = $(this).closest('.cs_accordian');
+      if ($item.hasClass('active')) {
+        setOpen($item, false, true);
+      } else {
+        open($item, true);
+        remember($item.attr('id'));
+      }
+    });
+    $items.find('.cs_accordian_button').on('keydown', move);
+
+    reveal($items);
+    $(window).on('hashchange', function () {
+      reveal($items);
+    });
+  }
+
+  Sadouni.accordion = {
+    init: init,
+  };
+})(jQuery, window);
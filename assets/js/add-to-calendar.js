@@ -0,0 +1,326 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Add To Calendar
+  |--------------------------------------------------------------------------
+  |
+  | Once a booking is confirmed, offers the appointment as an RFC 5545
+  | .ics file and as Google / Outlook "add event" links. Everything is
+  | built in the browser from the booking record, the clinic's
+  | MedicalBusiness JSON-LD and the preparation notes of
+  | assets/data/preparation.json, in the page language.
+  |
+  | 1. Clinic
+  | 2. Dates
+  | 3. iCalendar
+  | 4. Calendar Links
+  | 5. Booking Confirmation
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var TIME_ZONE = 'Africa/Casablanca';
+  var DEFAULT_DURATION = 30;
+  var PREPARATION_URL = 'assets/data/preparation.json';
+  // Firefox and Safari start the download some time after the click: the
+  // .ics Blob URL is released once they surely have
+  var REVOKE_DELAY = 10000;
+
+  var preparationRequest = null;
+
+  $(function () {
+    bookingCalendarLinks();
+  });
+
+  /*--------------------------------------------------------------
+    1. Clinic
+  --------------------------------------------------------------*/
+  function findMedicalBusiness(data) {
+    var items = $.isArray(data) ? data : data['@graph'] || [data];
+    for (var i = 0; i < items.length; i++) {
+      if (items[i] && items[i]['@type'] === 'MedicalBusiness') {
+        return items[i];
+      }
+    }
+    return null;
+  }
+
+  // Name, address and phone from the page's MedicalBusiness JSON-LD block
+  function clinicDetails() {
+    var clinic = null;
+    $('script[type="application/ld+json"]').each(function () {
+      try {
+        clinic = findMedicalBusiness(JSON.parse($(this).text()));
+      } catch (e) {
+        clinic = null;
+      }
+      return !clinic;
+    });
+    if (!clinic) {
+      return { name: '', location: '', telephone: '' };
+    }
+    var address = clinic.address || {};
+    var location = [
+      address.streetAddress,
+      $.trim((address.postalCode || '') + ' ' + (address.addressLocality || '')),
+      address.addressCountry,
+    ].filter(Boolean);
+    return {
+      name: clinic.name || '',
+      location: [clinic.name].concat(location).filter(Boolean).join(', '),
+      telephone: clinic.telephone || '',
+    };
+  }
+
+  /*--------------------------------------------------------------
+    2. Dates
+  --------------------------------------------------------------*/
+  function pad(value) {
+    return value < 10 ? '0' + value : String(value);
+  }
+
+  // Minutes to add to UTC to get the wall clock time of `timeZone`
+  function timeZoneOffset(timestamp, timeZone) {
+    var parts = {};
+    $.each(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }).formatToParts(new Date(timestamp)),
+      function (_, part) {
+        parts[part.type] = +part.value;
+      },
+    );
+    var wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - timestamp) / 60000);
+  }
+
+  // "2026-11-02" + "11:00" at the clinic -> Date
+  function clinicTime(isoDate, time) {
+    var date = isoDate.split('-');
+    var clock = String(time || '09:00').split(':');
+    var guess = Date.UTC(+date[0], date[1] - 1, +date[2], +clock[0], +clock[1]);
+    var offset = timeZoneOffset(guess, TIME_ZONE);
+    // Second pass in case the guess fell on the other side of a DST change
+    offset = timeZoneOffset(guess - offset * 60000, TIME_ZONE);
+    return new Date(guess - offset * 60000);
+  }
+
+  // 20261102T100000Z
+  function utcStamp(date) {
+    return (
+      date.getUTCFullYear() +
+      pad(date.getUTCMonth() + 1) +
+      pad(date.getUTCDate()) +
+      'T' +
+      pad(date.getUTCHours()) +
+      pad(date.getUTCMinutes()) +
+      pad(date.getUTCSeconds()) +
+      'Z'
+    );
+  }
+
+  /*--------------------------------------------------------------
+    3. iCalendar
+  --------------------------------------------------------------*/
+  function escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  function octets(character) {
+    return encodeURIComponent(character).replace(/%[0-9A-F]{2}/g, 'x').length;
+  }
+
+  // Content lines are folded after 75 octets, never inside a character
+  function foldLine(line) {
+    var folded = '';
+    var length = 0;
+    Array.from(line).forEach(function (character) {
+      var size = octets(character);
+      if (length + size > 75) {
+        folded += '\r\n ';
+        length = 1;
+      }
+      folded += character;
+      length += size;
+    });
+    return folded;
+  }
+
+  function buildIcs(event) {
+    var lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Dr Choaib Sadouni//Rendez-vous//FR',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      'UID:' + event.uid,
+      'DTSTAMP:' + utcStamp(new Date()),
+      'DTSTART:' + utcStamp(event.start),
+      'DTEND:' + utcStamp(event.end),
+      'SUMMARY:' + escapeText(event.title),
+      'DESCRIPTION:' + escapeText(event.description),
+      'LOCATION:' + escapeText(event.location),
+      'STATUS:CONFIRMED',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'DESCRIPTION:' + escapeText(event.title),
+      'TRIGGER:-P1D',
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /*--------------------------------------------------------------
+    4. Calendar Links
+  --------------------------------------------------------------*/
+  function googleUrl(event) {
+    return (
+      'https://calendar.google.com/calendar/render?' +
+      $.param({
+        action: 'TEMPLATE',
+        text: event.title,
+        dates: utcStamp(event.start) + '/' + utcStamp(event.end),
+        details: event.description,
+        location: event.location,
+        ctz: TIME_ZONE,
+      })
+    );
+  }
+
+  function outlookUrl(event) {
+    return (
+      'https://outlook.live.com/calendar/0/deeplink/compose?' +
+      $.param({
+        path: '/calendar/action/compose',
+        rru: 'addevent',
+        subject: event.title,
+        startdt: event.start.toISOString(),
+        enddt: event.end.toISOString(),
+        body: event.description,
+        location: event.location,
+      })
+    );
+  }
+
+  /*--------------------------------------------------------------
+    5. Booking Confirmation
+  --------------------------------------------------------------*/
+  function loadPreparation() {
+    if (!preparationRequest) {
+      preparationRequest = Promise.resolve($.getJSON(PREPARATION_URL)).catch(function () {
+        return {};
+      });
+    }
+    return preparationRequest;
+  }
+
+  function consultDuration(department) {
+    var schedule = Sadouni.availability && Sadouni.availability.schedule();
+    if (schedule) {
+      return schedule.consultMinutes(department);
+    }
+    return DEFAULT_DURATION;
+  }
+
+  // Calendar event for a confirmed booking record
+  function bookingEvent(record, options) {
+    var settings = options || {};
+    var clinic = settings.clinic || clinicDetails();
+    var specialty = settings.specialty || record.department || '';
+    var start = clinicTime(record.date, record.time);
+    var end = new Date(start.getTime() + consultDuration(record.department) * 60000);
+    var t = Sadouni.i18n.t;
+    var description = [
+      t('calendar.reference', { reference: record.reference }),
+      t('calendar.specialty', { specialty: specialty }),
+    ];
+
+    if (settings.preparation) {
+      description.push('', t('calendar.preparation', { preparation: settings.preparation }));
+    }
+    if (clinic.telephone) {
+      description.push('', t('calendar.change', { phone: clinic.telephone }));
+    }
+    return {
+      uid: record.reference + '@drsadouni.ma',
+      title: t('calendar.event', { name: clinic.name || specialty }),
+      description: description.join('\n'),
+      location: clinic.location,
+      start: start,
+      end: end,
+    };
+  }
+
+  function calendarLinks(event, reference) {
+    var t = Sadouni.i18n.t;
+    var file = new window.Blob([buildIcs(event)], { type: 'text/calendar;charset=utf-8' });
+    var link = function (label, icon) {
+      return $('<a class="cs_calendar_link" target="_blank" rel="noopener"></a>')
+        .append('<i class="' + icon + '"></i> ')
+        .append(document.createTextNode(label));
+    };
+    return $('<div class="cs_calendar_links"></div>')
+      .append($('<span class="cs_calendar_links_title"></span>').text(t('calendar.title')))
+      .append(
+        link(t('calendar.ics'), 'fa-regular fa-calendar-plus')
+          .removeAttr('target rel')
+          .attr({ href: '#', download: 'rendez-vous-' + reference + '.ics' })
+          .on('click', function () {
+            // A Blob URL per download, released once the download started
+            var url = window.URL.createObjectURL(file);
+            this.href = url;
+            window.setTimeout(function () {
+              window.URL.revokeObjectURL(url);
+            }, REVOKE_DELAY);
+          }),
+        link(t('calendar.google'), 'fa-brands fa-google').attr('href', googleUrl(event)),
+        link(t('calendar.outlook'), 'fa-brands fa-microsoft').attr('href', outlookUrl(event)),
+      );
+  }
+
+  function bookingCalendarLinks() {
+    $('[data-booking-form]').on('booking:confirmed', function (e, record) {
+      var $form = $(this);
+      if (!record.date) {
+        return;
+      }
+      var specialty = Sadouni.specialties
+        ? Sadouni.specialties.label(record.department)
+        : record.department;
+
+      loadPreparation().then(function (notes) {
+        var event = bookingEvent(record, {
+          specialty: specialty,
+          preparation: Sadouni.i18n.localized(notes[record.department] || notes['default']),
+        });
+        $form.find('.cs_booking_status').append(calendarLinks(event, record.reference));
+      });
+    });
+  }
+
+  Sadouni.addToCalendar = {
+    clinicDetails: clinicDetails,
+    clinicTime: clinicTime,
+    bookingEvent: bookingEvent,
+    buildIcs: buildIcs,
+    googleUrl: googleUrl,
+    outlookUrl: outlookUrl,
+  };
+})(jQuery, window);
@@ -0,0 +1,361 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Clinic Availability
+  |--------------------------------------------------------------------------
+  |
+  | Reads the opening hours and closures from assets/data/schedule.json and
+  | drives the appointment datepickers with them: closed days, holidays and
+  | leave periods are disabled, days past the booking window are out of
+  | reach, and days that are nearly booked out get `cs_day_almost_full`.
+  | A day is full when no slot is left from now on for a consultation in
+  | the department picked in the form (slots.js lists the same slots),
+  | and nearly full when its bookings, each as long as its
+  | consultation, take `almostFullRatio` of the opening hours.
+  |
+  | 1. Schedule
+  | 2. Bookings
+  | 3. Datepicker
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  var SCHEDULE_URL = 'assets/data/schedule.json';
+
+  var schedule = null;
+  var scheduleRequest = null;
+  var bookingsByDate = {};
+
+  $(function () {
+    availabilityCalendar();
+  });
+
+  /*--------------------------------------------------------------
+    1. Schedule
+  --------------------------------------------------------------*/
+  function pad(value) {
+    return value < 10 ? '0' + value : String(value);
+  }
+
+  function isoDate(date) {
+    return (
+      date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate())
+    );
+  }
+
+  function parseIsoDate(value) {
+    var parts = String(value).split('-');
+    return new Date(+parts[0], parts[1] - 1, +parts[2]);
+  }
+
+  // "09:30" -> 570
+  function toMinutes(time) {
+    var parts = String(time).split(':');
+    return parts[0] * 60 + +parts[1];
+  }
+
+  // 570 -> "09:30"
+  function formatMinutes(minutes) {
+    return pad(Math.floor(minutes / 60)) + ':' + pad(minutes % 60);
+  }
+
+  function overlaps(start, end, ranges) {
+    return ranges.some(function (range) {
+      return start < range[1] && end > range[0];
+    });
+  }
+
+  function addDays(date, days) {
+    var next = new Date(date.getTime());
+    next.setDate(next.getDate() + days);
+    return next;
+  }
+
+  // Holidays are "MM-DD" when they fall on the same day every year and
+  // "YYYY-MM-DD" (with an optional number of `days`) for lunar holidays.
+  function holidayOn(config, date) {
+    var iso = isoDate(date);
+    var monthDay = iso.slice(5);
+    var found = null;
+    $.each(config.holidays || [], function (_, holiday) {
+      if (holiday.date.length === 5) {
+        if (holiday.date === monthDay) {
+          found = holiday;
+        }
+        return !found;
+      }
+      var start = parseIsoDate(holiday.date);
+      var end = addDays(start, (holiday.days || 1) - 1);
+      if (date >= start && date <= end) {
+        found = holiday;
+      }
+      return !found;
+    });
+    return found;
+  }
+
+  function leaveOn(config, date) {
+    var iso = isoDate(date);
+    var found = null;
+    $.each(config.leave || [], function (_, period) {
+      if (iso >= period.from && iso <= period.to) {
+        found = period;
+      }
+      return !found;
+    });
+    return found;
+  }
+
+  function createSchedule(config) {
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Opening periods of a day in minutes, e.g. [[540, 780], [870, 1140]]
+    function openingHours(date) {
+      if (closure(date)) {
+        return [];
+      }
+      return (config.weekly[WEEKDAYS[date.getDay()]] || []).map(function (period) {
+        return [toMinutes(period[0]), toMinutes(period[1])];
+      });
+    }
+
+    // Label of the holiday or leave period closing the clinic, if any
+    function closure(date) {
+      var reason = holidayOn(config, date) || leaveOn(config, date);
+      return reason ? Sadouni.i18n.localized(reason.label) : null;
+    }
+
+    function isOpen(date) {
+      return openingHours(date).length > 0;
+    }
+
+    // Length of a consultation in `department`: the specialties
+    // catalog's, else schedule.json's `consultMinutes`
+    function consultMinutes(department) {
+      var lengths = config.consultMinutes || {};
+      var catalog = department && Sadouni.specialties && Sadouni.specialties.consultMinutes(department);
+      return catalog || lengths[department] || lengths['default'] || config.slotMinutes;
+    }
+
+    // Minutes taken by the bookings, each as long as its consultation
+    function bookedMinutes(bookings) {
+      return (bookings || []).reduce(function (total, booking) {
+        return total + consultMinutes(booking.department);
+      }, 0);
+    }
+
+    function openMinutes(date) {
+      return openingHours(date).reduce(function (total, period) {
+        return total + period[1] - period[0];
+      }, 0);
+    }
+
+    // Free start times ("HH:MM") on `date` for a consultation in
+    // `department`, given the appointments already booked that day. Slots
+    // start every `slotMinutes`, and only after `now` on its own day.
+    function freeSlots(date, department, bookings, now) {
+      var length = consultMinutes(department);
+      var current = now || new Date();
+      var earliest = isoDate(current) === isoDate(date) ? current.getHours() * 60 + current.getMinutes() : 0;
+      var taken = $.map(bookings || [], function (booking) {
+        if (!booking.time) {
+          return null;
+        }
+        var start = toMinutes(booking.time);
+        return [[start, start + consultMinutes(booking.department)]];
+      });
+
+      var slots = [];
+      $.each(openingHours(date), function (_, period) {
+        for (var start = period[0]; start + length <= period[1]; start += config.slotMinutes) {
+          if (start >= earliest && !overlaps(start, start + length, taken)) {
+            slots.push(formatMinutes(start));
+          }
+        }
+      });
+      return slots;
+    }
+
+    // The first and last start time of a consultation over the week, and
+    // the time between slots, as the options of a timepicker
+    function timeRange() {
+      var periods = $.map(WEEKDAYS, function (day) {
+        return config.weekly[day] || [];
+      });
+      var opens = $.map(periods, function (period) {
+        return toMinutes(period[0]);
+      });
+      var lastStarts = $.map(periods, function (period) {
+        return toMinutes(period[1]) - consultMinutes(null);
+      });
+      return {
+        minTime: formatMinutes(Math.min.apply(Math, opens)),
+        maxTime: formatMinutes(Math.max.apply(Math, lastStarts)),
+        interval: config.slotMinutes,
+      };
+    }
+
+    function lastBookableDay() {
+      return addDays(today, config.bookingWindowDays);
+    }
+
+    function withinWindow(date) {
+      return date >= today && date <= lastBookableDay();
+    }
+
+    return {
+      config: config,
+      openingHours: openingHours,
+      closure: closure,
+      isOpen: isOpen,
+      consultMinutes: consultMinutes,
+      bookedMinutes: bookedMinutes,
+      openMinutes: openMinutes,
+      freeSlots: freeSlots,
+      timeRange: timeRange,
+      lastBookableDay: lastBookableDay,
+      withinWindow: withinWindow,
+    };
+  }
+
+  function loadSchedule(url) {
+    if (!scheduleRequest) {
+      scheduleRequest = Promise.resolve($.getJSON(url || SCHEDULE_URL)).then(
+        function (config) {
+          schedule = createSchedule(config);
+          return schedule;
+        },
+      );
+    }
+    return scheduleRequest;
+  }
+
+  /*--------------------------------------------------------------
+    2. Bookings
+  --------------------------------------------------------------*/
+  function loadBookings(adapter) {
+    if (!adapter) {
+      return Promise.resolve(bookingsByDate);
+    }
+    return adapter.list({ status: 'confirmed' }).then(
+      function (records) {
+        bookingsByDate = {};
+        $.each(records, function (_, record) {
+          (bookingsByDate[record.date] = bookingsByDate[record.date] || []).push(record);
+        });
+        return bookingsByDate;
+      },
+      function () {
+        return bookingsByDate;
+      },
+    );
+  }
+
+  /*--------------------------------------------------------------
+    3. Datepicker
+  --------------------------------------------------------------*/
+  // jQuery UI beforeShowDay result: [selectable, class name, tooltip],
+  // for a consultation in `department` (the default length without one)
+  function dayState(date, department) {
+    if (!schedule) {
+      return [true, ''];
+    }
+    var closure = schedule.closure(date);
+    if (closure) {
+      return [false, 'cs_day_closed', closure];
+    }
+    if (!schedule.isOpen(date) || !schedule.withinWindow(date)) {
+      return [false, 'cs_day_closed', ''];
+    }
+    // Capacity as the slot picker counts it: the consultations' own
+    // lengths against the opening hours, from now on
+    var bookings = bookingsByDate[isoDate(date)] || [];
+    if (!schedule.freeSlots(date, department || null, bookings).length) {
+      return [false, 'cs_day_full', Sadouni.i18n.t('availability.full')];
+    }
+    if (schedule.bookedMinutes(bookings) >= schedule.openMinutes(date) * schedule.config.almostFullRatio) {
+      return [true, 'cs_day_almost_full', Sadouni.i18n.t('availability.almostFull')];
+    }
+    return [true, ''];
+  }
+
+  function isAvailable(date, department) {
+    return dayState(date, department)[0];
+  }
+
+  // The department picked in the form of `field`, if any
+  function departmentOf(field) {
+    return $(field).closest('form').find('[name="department"]').val() || null;
+  }
+
+  // `department` is called for the department each time a day is drawn
+  function datepickerOptions(department) {
+    return {
+      minDate: 0,
+      maxDate: schedule ? schedule.lastBookableDay() : null,
+      beforeShowDay: function (date) {
+        return dayState(date, department ? department() : null);
+      },
+    };
+  }
+
+  // Applies the schedule to a datepicker input, for the department picked
+  // in its form; bookings come from the adapter of its booking form when
+  // there is one.
+  function bindDatepicker($input, adapter) {
+    return Promise.all([loadSchedule(), loadBookings(adapter)]).then(function () {
+      $input.datepicker(
+        'option',
+        datepickerOptions(function () {
+          return departmentOf($input);
+        }),
+      );
+      return schedule;
+    });
+  }
+
+  function availabilityCalendar() {
+    $('.hasDatepicker').each(function () {
+      var $input = $(this);
+      var $form = $input.closest('form');
+      var refresh = function () {
+        // Without a schedule the picker keeps its main.js defaults
+        bindDatepicker($input, $form.data('booking-adapter-instance')).catch($.noop);
+      };
+      refresh();
+      $form.on('booking:confirmed', refresh);
+    });
+
+    if (Sadouni.validation) {
+      Sadouni.validation.addRule(
+        'available',
+        function (value, field) {
+          var date = $(field).datepicker('getDate');
+          return !date || isAvailable(date, departmentOf(field));
+        },
+        Sadouni.i18n.t('validation.available'),
+      );
+    }
+  }
+
+  Sadouni.availability = {
+    load: loadSchedule,
+    createSchedule: createSchedule,
+    dayState: dayState,
+    isAvailable: isAvailable,
+    datepickerOptions: datepickerOptions,
+    bindDatepicker: bindDatepicker,
+    isoDate: isoDate,
+    parseIsoDate: parseIsoDate,
+    toMinutes: toMinutes,
+    formatMinutes: formatMinutes,
+    schedule: function () {
+      return schedule;
+    },
+  };
+})(jQuery, window);
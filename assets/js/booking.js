@@ -0,0 +1,542 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Booking Engine
+  |--------------------------------------------------------------------------
+  |
+  | Submits `[data-booking-form]` appointment forms to a pluggable backend
+  | adapter and shows the confirmation reference it returns.
+  |
+  | 1. Adapter Registry
+  | 2. Confirmation Reference
+  | 3. Local Adapter (IndexedDB / JSON stand-in)
+  | 4. HTTP Adapter
+  | 5. Message Channel
+  | 6. Appointment Form
+  |
+  | An adapter is an object with these methods, all returning promises:
+  |   create(booking)                      -> record with its `reference`
+  |   list(query)                          -> records matching every key
+  |   find(reference, phone)               -> record, or null
+  |   reschedule(reference, phone, change) -> updated record
+  |   cancel(reference, phone)             -> cancelled record
+  | `find`, `reschedule` and `cancel` only match a booking when the phone
+  | number is the one it was made with.
+  |
+  | Form options (data attributes):
+  |   data-booking-adapter   "local" (default) or "http"
+  |   data-booking-endpoint  base URL used by the http adapter
+  |   data-booking-fallback  "message" to offer sending the request as a
+  |                          message when saving fails
+  |   data-message-locale    language of that message (page language
+  |                          by default)
+  |
+  | An unknown adapter, or the http one without an endpoint, fails every
+  | call: the form shows its error (and the message fallback).
+  |
+  | The message goes out on the channel picked in the form's `channel`
+  | field, see composer.js. Load site-config.js and composer.js first.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var DB_NAME = 'sadouni_booking';
+  var STORE_NAME = 'appointments';
+  var STORAGE_KEY = 'sadouni_appointments';
+
+  var CHANNEL_ICONS = {
+    whatsapp: 'fa-brands fa-whatsapp',
+    sms: 'fa-regular fa-comment-dots',
+    email: 'fa-regular fa-envelope',
+  };
+
+  $(function () {
+    bookingForm();
+  });
+
+  /*--------------------------------------------------------------
+    1. Adapter Registry
+  --------------------------------------------------------------*/
+  var adapters = {};
+
+  function registerAdapter(name, factory) {
+    adapters[name] = factory;
+  }
+
+  // Every call of this adapter fails with `error`, so a form whose
+  // adapter is unknown or misconfigured takes its failure path instead
+  // of stopping the page's scripts
+  function failingAdapter(name, error) {
+    function fail() {
+      return Promise.reject(error);
+    }
+    return { name: name, error: error, create: fail, list: fail, find: fail, reschedule: fail, cancel: fail };
+  }
+
+  function createAdapter(name, options) {
+    if (!adapters[name]) {
+      return failingAdapter(name, new Error('Unknown booking adapter "' + name + '"'));
+    }
+    try {
+      return adapters[name](options || {});
+    } catch (error) {
+      return failingAdapter(name, error);
+    }
+  }
+
+  /*--------------------------------------------------------------
+    2. Confirmation Reference
+  --------------------------------------------------------------*/
+  var REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+  function pad(value) {
+    return value < 10 ? '0' + value : String(value);
+  }
+
+  // SDN-YYMMDD-XXXX, without the easily confused 0/O and 1/I characters.
+  function createReference(date) {
+    var now = date || new Date();
+    var suffix = '';
+    for (var i = 0; i < 4; i++) {
+      suffix += REFERENCE_ALPHABET.charAt(
+        Math.floor(Math.random() * REFERENCE_ALPHABET.length),
+      );
+    }
+    return (
+      'SDN-' +
+      String(now.getFullYear()).slice(2) +
+      pad(now.getMonth() + 1) +
+      pad(now.getDate()) +
+      '-' +
+      suffix
+    );
+  }
+
+  /*--------------------------------------------------------------
+    3. Local Adapter (IndexedDB / JSON stand-in)
+  --------------------------------------------------------------*/
+  // Resolves with the store once the database is open; rejects when
+  // IndexedDB is missing or refuses to open
+  function indexedDbStore() {
+    var database = new Promise(function (resolve, reject) {
+      if (!window.indexedDB) {
+        throw new Error('IndexedDB is unavailable');
+      }
+      var request = window.indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = function () {
+        request.result.createObjectStore(STORE_NAME, {
+          keyPath: 'reference',
+        });
+      };
+      request.onsuccess = function () {
+        resolve(request.result);
+      };
+      request.onerror = function () {
+        reject(request.error);
+      };
+    });
+
+    function run(mode, action) {
+      return database.then(function (db) {
+        return new Promise(function (resolve, reject) {
+          var store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+          var request = action(store);
+          request.onsuccess = function () {
+            resolve(request.result);
+          };
+          request.onerror = function () {
+            reject(request.error);
+          };
+        });
+      });
+    }
+
+    return database.then(function () {
+      return {
+        get: function (reference) {
+          return run('readonly', function (store) {
+            return store.get(reference);
+          });
+        },
+        all: function () {
+          return run('readonly', function (store) {
+            return store.getAll();
+          });
+        },
+        put: function (record) {
+          return run('readwrite', function (store) {
+            return store.put(record);
+          });
+        },
+      };
+    });
+  }
+
+  // Used when IndexedDB is unavailable or fails to open (private
+  // browsing, file:// pages).
+  function localStorageStore() {
+    function read() {
+      try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+      } catch (e) {
+        return {};
+      }
+    }
+
+    return {
+      get: function (reference) {
+        return Promise.resolve(read()[reference]);
+      },
+      all: function () {
+        var records = read();
+        return Promise.resolve(
+          Object.keys(records).map(function (key) {
+            return records[key];
+          }),
+        );
+      },
+      put: function (record) {
+        var records = read();
+        records[record.reference] = record;
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+        return Promise.resolve(record.reference);
+      },
+    };
+  }
+
+  // IndexedDB when it opens, localStorage otherwise: the API can exist
+  // and still refuse to open, as in Firefox private browsing.
+  function browserStore() {
+    var ready = indexedDbStore().catch(function () {
+      return localStorageStore();
+    });
+
+    function method(name) {
+      return function (value) {
+        return ready.then(function (store) {
+          return store[name](value);
+        });
+      };
+    }
+
+    return { get: method('get'), all: method('all'), put: method('put') };
+  }
+
+  // Compares the last nine digits so "+212 6..." matches "06..."
+  function samePhone(a, b) {
+    var digits = function (value) {
+      return String(value || '').replace(/\D/g, '').slice(-9);
+    };
+    return digits(a) !== '' && digits(a) === digits(b);
+  }
+
+  function matches(record, query) {
+    return Object.keys(query || {}).every(function (key) {
+      return query[key] === undefined || record[key] === query[key];
+    });
+  }
+
+  // Bookings are kept in the browser, on top of the read-only appointments
+  // listed in assets/data/appointments.json. Changes to a listed
+  // appointment are stored locally and take precedence over the file.
+  function localAdapter(options) {
+    var store = browserStore();
+    var seedUrl = options.seedUrl || 'assets/data/appointments.json';
+    var seed;
+
+    function loadSeed() {
+      if (!seed) {
+        seed = Promise.resolve($.getJSON(seedUrl)).catch(function () {
+          return [];
+        });
+      }
+      return seed;
+    }
+
+    return {
+      name: 'local',
+      create: function (booking) {
+        return uniqueReference().then(function (reference) {
+          var record = $.extend({}, booking, {
+            reference: reference,
+            status: 'confirmed',
+            createdAt: new Date().toISOString(),
+          });
+          return store.put(record).then(function () {
+            return record;
+          });
+        });
+      },
+      list: function (query) {
+        return all().then(function (records) {
+          return records.filter(function (record) {
+            return matches(record, query);
+          });
+        });
+      },
+      find: find,
+      reschedule: function (reference, phone, change) {
+        return update(reference, phone, {
+          date: change.date,
+          time: change.time,
+          status: 'confirmed',
+        });
+      },
+      cancel: function (reference, phone) {
+        return update(reference, phone, { status: 'cancelled' });
+      },
+    };
+
+    function all() {
+      return Promise.all([loadSeed(), store.all()]).then(function (results) {
+        var byReference = {};
+        $.each(results[0].concat(results[1]), function (_, record) {
+          byReference[record.reference] = record;
+        });
+        return Object.keys(byReference).map(function (reference) {
+          return byReference[reference];
+        });
+      });
+    }
+
+    // A new reference, drawn again while it is another booking's
+    function uniqueReference() {
+      return all().then(function (records) {
+        var taken = {};
+        $.each(records, function (_, record) {
+          taken[record.reference] = true;
+        });
+        var reference = createReference();
+        while (taken[reference]) {
+          reference = createReference();
+        }
+        return reference;
+      });
+    }
+
+    function find(reference, phone) {
+      var wanted = $.trim(reference).toUpperCase();
+      return all().then(function (records) {
+        var found = records.filter(function (record) {
+          return record.reference === wanted && samePhone(record.phone, phone);
+        });
+        return found[0] || null;
+      });
+    }
+
+    function update(reference, phone, change) {
+      return find(reference, phone).then(function (record) {
+        if (!record) {
+          throw new Error('Booking not found');
+        }
+        var updated = $.extend({}, record, change, {
+          updatedAt: new Date().toISOString(),
+        });
+        return store.put(updated).then(function () {
+          return updated;
+        });
+      });
+    }
+  }
+
+  registerAdapter('local', localAdapter);
+
+  /*--------------------------------------------------------------
+    4. HTTP Adapter
+  --------------------------------------------------------------*/
+  function httpAdapter(options) {
+    if (!options.endpoint) {
+      throw new Error('The http booking adapter needs an endpoint');
+    }
+    var endpoint = String(options.endpoint).replace(/\/$/, '');
+
+    function request(method, path, data) {
+      var isGet = method === 'GET';
+      return Promise.resolve(
+        $.ajax({
+          url: endpoint + path,
+          method: method,
+          dataType: 'json',
+          contentType: isGet ? undefined : 'application/json',
+          data: isGet ? data : JSON.stringify(data),
+        }),
+      );
+    }
+
+    return {
+      name: 'http',
+      create: function (booking) {
+        return request('POST', '/appointments', booking);
+      },
+      list: function (query) {
+        return request('GET', '/appointments', query);
+      },
+      find: function (reference, phone) {
+        return request('GET', '/appointments/' + encodeURIComponent(reference), {
+          phone: phone,
+        }).catch(function (xhr) {
+          if (xhr && xhr.status === 404) {
+            return null;
+          }
+          throw xhr;
+        });
+      },
+      reschedule: function (reference, phone, change) {
+        return request('PATCH', '/appointments/' + encodeURIComponent(reference), {
+          phone: phone,
+          date: change.date,
+          time: change.time,
+        });
+      },
+      cancel: function (reference, phone) {
+        return request('POST', '/appointments/' + encodeURIComponent(reference) + '/cancel', {
+          phone: phone,
+        });
+      },
+    };
+  }
+
+  registerAdapter('http', httpAdapter);
+
+  /*--------------------------------------------------------------
+    5. Message Channel
+  --------------------------------------------------------------*/
+  function messageLink($form, booking, label) {
+    var composer = Sadouni.composer;
+    var locale = $form.data('message-locale');
+    var channel = composer.resolveChannel(booking.channel);
+    return $('<a class="cs_booking_message" target="_blank" rel="noopener"></a>')
+      .attr('href', composer.url(channel, 'booking', booking, locale))
+      .append('<i class="' + CHANNEL_ICONS[channel] + '"></i> ')
+      .append(document.createTextNode(label + ' ' + composer.channelLabel(channel, locale)));
+  }
+
+  /*--------------------------------------------------------------
+    6. Appointment Form
+  --------------------------------------------------------------*/
+  function t(key) {
+    return Sadouni.i18n.t(key);
+  }
+
+  function toIsoDate(date) {
+    return (
+      date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate())
+    );
+  }
+
+  function serializeForm($form) {
+    var booking = {};
+    $.each($form.serializeArray(), function (_, field) {
+      booking[field.name.toLowerCase()] = $.trim(field.value);
+    });
+    // Store picked dates as YYYY-MM-DD whatever the datepicker displays
+    $form.find('.hasDatepicker').each(function () {
+      var date = $(this).datepicker('getDate');
+      if (date) {
+        booking[this.name.toLowerCase()] = toIsoDate(date);
+      }
+    });
+    return booking;
+  }
+
+  function bookingStatus($form) {
+    var $status = $form.find('.cs_booking_status');
+    if (!$status.length) {
+      $status = $('<div class="cs_booking_status col-md-12" role="status" aria-live="polite"></div>');
+      $form.append($status);
+    }
+    return $status;
+  }
+
+  function showConfirmation($form, record) {
+    var $status = bookingStatus($form)
+      .removeClass('cs_booking_error')
+      .addClass('cs_booking_success')
+      .empty()
+      .append(
+        $('<p class="mb-0"></p>')
+          .text(t('booking.saved'))
+          .append($('<strong class="cs_booking_reference"></strong>').text(record.reference)),
+      );
+    if (Sadouni.composer) {
+      $status.append(messageLink($form, record, t('booking.notify')));
+    }
+    $status.append(
+      $('<a class="cs_booking_manage"></a>')
+        .attr('href', Sadouni.i18n.url('gerer-rendez-vous.html?reference=' + encodeURIComponent(record.reference)))
+        .text(t('booking.manage')),
+    );
+  }
+
+  function showFailure($form, booking) {
+    var $status = bookingStatus($form)
+      .removeClass('cs_booking_success')
+      .addClass('cs_booking_error')
+      .empty()
+      .append(
+        $('<p class="mb-0"></p>').text(t('booking.failed')),
+      );
+    if ($form.data('booking-fallback') === 'message' && Sadouni.composer) {
+      $status.append(messageLink($form, booking, t('booking.send')));
+    }
+  }
+
+  function submitBooking(adapter, booking) {
+    return Promise.resolve().then(function () {
+      return adapter.create(booking);
+    });
+  }
+
+  function bookingForm() {
+    $('[data-booking-form]').each(function () {
+      var $form = $(this);
+      var $button = $form.find('[type="submit"]');
+      var adapter = createAdapter($form.data('booking-adapter') || 'local', {
+        endpoint: $form.data('booking-endpoint'),
+      });
+      $form.data('booking-adapter-instance', adapter);
+
+      function enable() {
+        $button.prop('disabled', false);
+      }
+
+      $form.on('submit', function (e) {
+        e.preventDefault();
+        var booking = serializeForm($form);
+        $button.prop('disabled', true);
+        submitBooking(adapter, booking)
+          .then(
+            function (record) {
+              showConfirmation($form, record);
+              $form.trigger('booking:confirmed', [record]);
+              $form[0].reset();
+              $form.find('.cs_select').trigger('change.select2');
+            },
+            function (error) {
+              showFailure($form, booking);
+              $form.trigger('booking:failed', [booking, error]);
+            },
+          )
+          // Showing the confirmation, or a `booking:confirmed` listener,
+          // failed: the visitor still gets a status
+          .catch(function () {
+            showFailure($form, booking);
+          })
+          .then(enable, enable);
+      });
+    });
+  }
+
+  Sadouni.booking = {
+    registerAdapter: registerAdapter,
+    createAdapter: createAdapter,
+    createReference: createReference,
+    submit: submitBooking,
+    serializeForm: serializeForm,
+    toIsoDate: toIsoDate,
+    samePhone: samePhone,
+  };
+})(jQuery, window);
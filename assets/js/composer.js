@@ -0,0 +1,192 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Message Composer
+  |--------------------------------------------------------------------------
+  |
+  | Turns a booking into a ready-to-send message for the channel the
+  | patient prefers: WhatsApp (wa.me), SMS (`sms:` URI) or e-mail
+  | (`mailto:`). Numbers, addresses and templates all come from
+  | assets/js/site-config.js, which must be loaded first.
+  |
+  | 1. Templates
+  | 2. Channels
+  | 3. Channel Picker
+  | 4. Contact Links
+  |
+  | Markup hooks:
+  |   select[data-channel-picker]        filled with the available channels
+  |   [data-contact="phone|whatsapp|email|address"]
+  |                                      href and text kept in sync with
+  |                                      the site config
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  $(function () {
+    channelPicker();
+    contactLinks();
+  });
+
+  function config() {
+    return Sadouni.config;
+  }
+
+  /*--------------------------------------------------------------
+    1. Templates
+  --------------------------------------------------------------*/
+  // The given language, else the page's, else the site default
+  function templates(locale) {
+    var all = config().templates;
+    return all[locale] || (Sadouni.i18n && all[Sadouni.i18n.locale]) || all[config().locale];
+  }
+
+  // "2026-11-02" reads better as "02/11/2026" in a message, and a
+  // department as its specialty name
+  function displayValue(key, value) {
+    var text = $.trim(value || '');
+    var iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (key === 'department' && text && Sadouni.specialties) {
+      return Sadouni.specialties.label(text);
+    }
+    if (key !== 'date' || !iso) {
+      return text;
+    }
+    return Sadouni.locale ? Sadouni.locale.formatDate(text, null, 'numeric') : iso[3] + '/' + iso[2] + '/' + iso[1];
+  }
+
+  function fill(line, data) {
+    var used = 0;
+    var filled = 0;
+    var text = line.replace(/\{(\w+)\}/g, function (_, key) {
+      var value = displayValue(key, data[key]);
+      used++;
+      filled += value ? 1 : 0;
+      return value;
+    });
+    return used && !filled ? null : text;
+  }
+
+  function render(template, data) {
+    var lines = $.isArray(template) ? template : [template];
+    return $.map(lines, function (line) {
+      return fill(line, data || {});
+    }).join('\n');
+  }
+
+  // { subject, body } of the `kind` template in the given language
+  function compose(kind, data, locale) {
+    var template = templates(locale)[kind];
+    if (!template) {
+      throw new Error('Unknown message template "' + kind + '"');
+    }
+    return {
+      subject: render(template.subject || '', data),
+      body: render(template.body, data),
+    };
+  }
+
+  /*--------------------------------------------------------------
+    2. Channels
+  --------------------------------------------------------------*/
+  var channels = {
+    whatsapp: function (clinic, message) {
+      return 'https://wa.me/' + String(clinic.whatsapp).replace(/\D/g, '') + '?text=' + encodeURIComponent(message.body);
+    },
+    sms: function (clinic, message) {
+      return 'sms:' + String(clinic.phone).replace(/[^\d+]/g, '') + '?body=' + encodeURIComponent(message.body);
+    },
+    email: function (clinic, message) {
+      return (
+        'mailto:' +
+        clinic.email +
+        '?subject=' +
+        encodeURIComponent(message.subject) +
+        '&body=' +
+        encodeURIComponent(message.body)
+      );
+    },
+  };
+
+  function isAvailable(channel) {
+    return !!channels[channel] && $.inArray(channel, config().channels.available) !== -1;
+  }
+
+  // The patient's choice when we offer it, the clinic's preference otherwise
+  function resolveChannel(channel) {
+    return isAvailable(channel) ? channel : config().channels.preferred;
+  }
+
+  function channelLabel(channel, locale) {
+    return templates(locale).channels[channel] || channel;
+  }
+
+  function messageUrl(channel, kind, data, locale) {
+    var name = resolveChannel(channel);
+    return channels[name](config().clinic, compose(kind, data, locale));
+  }
+
+  /*--------------------------------------------------------------
+    3. Channel Picker
+  --------------------------------------------------------------*/
+  function channelPicker() {
+    $('select[data-channel-picker]').each(function () {
+      var $select = $(this);
+      var locale = $select.closest('[data-message-locale]').data('message-locale');
+      $select.empty();
+      $.each(config().channels.available, function (_, channel) {
+        $select.append(
+          $('<option></option>')
+            .val(channel)
+            .text(channelLabel(channel, locale))
+            // Kept as the default when the form is reset
+            .prop('defaultSelected', channel === config().channels.preferred),
+        );
+      });
+      $select.val(config().channels.preferred).trigger('change.select2');
+    });
+  }
+
+  /*--------------------------------------------------------------
+    4. Contact Links
+  --------------------------------------------------------------*/
+  function contactDetails() {
+    var clinic = config().clinic;
+    var address = clinic.address;
+    return {
+      phone: { href: 'tel:' + clinic.phone, text: clinic.phoneDisplay },
+      whatsapp: { href: 'https://wa.me/' + clinic.whatsapp, text: clinic.whatsappDisplay },
+      email: { href: 'mailto:' + clinic.email, text: clinic.email },
+      address: {
+        text: address.street + ', ' + address.locality + ', ' + address.country,
+      },
+    };
+  }
+
+  function contactLinks() {
+    var details = contactDetails();
+    $('[data-contact]').each(function () {
+      var detail = details[$(this).data('contact')];
+      if (!detail) {
+        return;
+      }
+      if (detail.href && $(this).is('a')) {
+        $(this).attr('href', detail.href);
+      }
+      $(this).text(detail.text);
+    });
+  }
+
+  Sadouni.composer = {
+    render: render,
+    compose: compose,
+    channels: channels,
+    channelLabel: channelLabel,
+    resolveChannel: resolveChannel,
+    url: messageUrl,
+    contactDetails: contactDetails,
+  };
+})(jQuery, window);
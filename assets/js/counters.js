@@ -0,0 +1,179 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Counters
+  |--------------------------------------------------------------------------
+  |
+  | The theme's number counters (.odometer), started by main.js as
+  | `Sadouni.counters.init($('.odometer'))`. Each one rolls up once, with
+  | Odometer, the first time half of it is on screen; then nothing
+  | watches it any more.
+  |
+  |   <span class="odometer" data-count-to="3000" data-prefix="+"></span>
+  |
+  |   data-count-to   the number to reach
+  |   data-prefix     text before it ("+"), data-suffix after (" ans")
+  |   data-duration   length of the animation in ms
+  |   data-easing     a CSS easing: ease, ease-in, ease-out,
+  |                   ease-in-out, linear or cubic-bezier(…)
+  |
+  | A value that doesn't fit is replaced by its default.
+  |
+  | Numbers get the thousands separator of the page language
+  | (Sadouni.locale), and screen readers are given the final figure
+  | ("+3 000") rather than the rolling digits. A visitor who asked for
+  | reduced motion, or a browser without IntersectionObserver, sees the
+  | final figure straight away.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var VISIBLE_RATIO = 0.5;
+  var REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+  var EASINGS = /^(?:ease|ease-in|ease-out|ease-in-out|linear|cubic-bezier\(\s*[\d.]+\s*,\s*-?[\d.]+\s*,\s*[\d.]+\s*,\s*-?[\d.]+\s*\))$/;
+
+  var OPTIONS = {
+    countTo: { type: 'number', fallback: 0 },
+    prefix: { type: 'text', fallback: '' },
+    suffix: { type: 'text', fallback: '' },
+    duration: { type: 'number', fallback: 2000 },
+    easing: { type: 'easing', fallback: 'ease' },
+  };
+
+  // Odometer would build every counter itself on DOMContentLoaded
+  if (window.Odometer) {
+    window.Odometer.options.auto = false;
+  }
+
+  function prefersReducedMotion() {
+    return !!window.matchMedia && window.matchMedia(REDUCED_MOTION).matches;
+  }
+
+  function format(value) {
+    return Sadouni.locale ? Sadouni.locale.formatNumber(value) : String(value);
+  }
+
+  /*--------------------------------------------------------------
+    1. Options
+  --------------------------------------------------------------*/
+  // "countTo" -> "data-count-to"
+  function attribute(name) {
+    return (
+      'data-' +
+      name.replace(/[A-Z]/g, function (letter) {
+        return '-' + letter.toLowerCase();
+      })
+    );
+  }
+
+  // The value of `text` for the option, or undefined when it doesn't fit
+  var PARSERS = {
+    number: function (text) {
+      return /^\d+$/.test(text) ? parseInt(text, 10) : undefined;
+    },
+    text: function (text) {
+      return text;
+    },
+    easing: function (text) {
+      return EASINGS.test(text) ? text : undefined;
+    },
+  };
+
+  // Every option of the counter, checked against OPTIONS
+  function options($counter) {
+    var result = {};
+    $.each(OPTIONS, function (name, rule) {
+      var text = $counter.attr(attribute(name));
+      var value = text === undefined ? undefined : PARSERS[rule.type](rule.type === 'text' ? text : $.trim(text));
+      result[name] = value === undefined ? rule.fallback : value;
+    });
+    return result;
+  }
+
+  /*--------------------------------------------------------------
+    2. Counters
+  --------------------------------------------------------------*/
+  function affix(text, position) {
+    return $('<span>', { class: 'cs_counter_' + position, 'aria-hidden': 'true', text: text });
+  }
+
+  // Prefix, suffix and the final figure for screen readers around the
+  // digits
+  function prepare($counter, found) {
+    $counter.attr('aria-hidden', 'true');
+    if (found.prefix) {
+      $counter.before(affix(found.prefix, 'prefix'));
+    }
+    if (found.suffix) {
+      $counter.after(affix(found.suffix, 'suffix'));
+    }
+    $counter
+      .parent()
+      .append($('<span>', { class: 'visually-hidden', text: found.prefix + format(found.countTo) + found.suffix }));
+  }
+
+  function odometer($counter, found) {
+    var element = $counter[0];
+    element.style.setProperty('--counter-duration', found.duration + 'ms');
+    element.style.setProperty('--counter-easing', found.easing);
+    return new window.Odometer({
+      el: element,
+      value: 0,
+      duration: found.duration,
+      format: Sadouni.locale ? Sadouni.locale.odometerFormat() : undefined,
+    });
+  }
+
+  function init($counters) {
+    var animate = !!window.Odometer && 'IntersectionObserver' in window && !prefersReducedMotion();
+    var pending = [];
+
+    $counters.each(function () {
+      var $counter = $(this);
+      var found = options($counter);
+      prepare($counter, found);
+      if (animate) {
+        pending.push({ element: this, counter: odometer($counter, found), to: found.countTo });
+      } else {
+        $counter.text(format(found.countTo));
+      }
+    });
+    if (!pending.length) {
+      return;
+    }
+
+    var observer = new window.IntersectionObserver(
+      function (entries) {
+        entries.forEach(function (entry) {
+          if (!entry.isIntersecting) {
+            return;
+          }
+          observer.unobserve(entry.target);
+          pending = pending.filter(function (item) {
+            if (item.element === entry.target) {
+              item.counter.update(item.to);
+              return false;
+            }
+            return true;
+          });
+          if (!pending.length) {
+            observer.disconnect();
+          }
+        });
+      },
+      { threshold: VISIBLE_RATIO },
+    );
+    pending.forEach(function (item) {
+      observer.observe(item.element);
+    });
+  }
+
+  Sadouni.counters = {
+    OPTIONS: OPTIONS,
+    options: options,
+    init: init,
+  };
+})(jQuery, window);
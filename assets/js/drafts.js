@@ -0,0 +1,213 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Form Drafts
+  |--------------------------------------------------------------------------
+  |
+  | Autosaves `[data-draft="<key>"]` forms to localStorage while they are
+  | being filled in. When the patient comes back before the draft expires
+  | (`data-draft-ttl`, in hours), a banner offers to restore it. The draft
+  | is dropped once the form has been sent: on `booking:confirmed` for
+  | booking forms, on submit for the others. Fields marked
+  | `data-draft-ignore` are never stored.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var STORAGE_PREFIX = 'sadouni_draft_';
+  var DEFAULT_TTL_HOURS = 48;
+  var SAVE_DELAY = 400;
+
+  $(function () {
+    formDrafts();
+  });
+
+  /*--------------------------------------------------------------
+    1. Storage
+  --------------------------------------------------------------*/
+  function readDraft(key) {
+    try {
+      var draft = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + key));
+      if (draft && draft.expiresAt > Date.now()) {
+        return draft;
+      }
+      clearDraft(key);
+    } catch (e) {
+      // Unreadable drafts are treated as missing
+    }
+    return null;
+  }
+
+  function writeDraft(key, fields, ttlHours) {
+    var now = Date.now();
+    try {
+      window.localStorage.setItem(
+        STORAGE_PREFIX + key,
+        JSON.stringify({
+          savedAt: now,
+          expiresAt: now + ttlHours * 3600 * 1000,
+          fields: fields,
+        }),
+      );
+    } catch (e) {
+      // Storage full or disabled: the form still works without drafts
+    }
+  }
+
+  function clearDraft(key) {
+    try {
+      window.localStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (e) {
+      // Nothing to clear
+    }
+  }
+
+  /*--------------------------------------------------------------
+    2. Form Values
+  --------------------------------------------------------------*/
+  function draftFields($form) {
+    return $form.find('[name]').not('[data-draft-ignore], [type="submit"], [type="button"]');
+  }
+
+  // The value of a field as the page gave it, e.g. the preselected
+  // channel of a <select>
+  function defaultValue(field) {
+    if (!$(field).is('select')) {
+      return field.defaultValue;
+    }
+    var $options = $(field).find('option');
+    var $selected = $options.filter(function () {
+      return this.defaultSelected;
+    });
+    return ($selected.length ? $selected : $options).first().val();
+  }
+
+  // The values of the fields, or null until the visitor has changed one
+  function collect($form) {
+    var fields = {};
+    var filled = false;
+    draftFields($form).each(function () {
+      var value = $(this).val();
+      fields[this.name] = value;
+      filled = filled || ($.trim(value) !== '' && value !== defaultValue(this));
+    });
+    return filled ? fields : null;
+  }
+
+  function restore($form, fields) {
+    var $restored = draftFields($form).filter(function () {
+      return $.trim(fields[this.name] || '') !== '';
+    });
+    // Set every value first, then notify: dependent widgets such as the
+    // slot picker read their current value when they refresh.
+    $restored.each(function () {
+      var $field = $(this);
+      var value = fields[this.name];
+      if ($field.is('select') && value && !$field.find('option').filter(function () {
+        return this.value === value;
+      }).length) {
+        $field.append($('<option></option>').val(value).text(value));
+      }
+      $field.val(value);
+    });
+    $restored.trigger('change');
+  }
+
+  /*--------------------------------------------------------------
+    3. Restore Banner
+  --------------------------------------------------------------*/
+  function formatSavedAt(timestamp) {
+    var date = new Date(timestamp);
+    return Sadouni.i18n.t('drafts.savedAt', {
+      date: Sadouni.locale.formatDate(date, null, 'numeric'),
+      time: Sadouni.locale.formatTime(date),
+    });
+  }
+
+  function showBanner($form, draft, onRestore, onDiscard) {
+    var t = Sadouni.i18n.t;
+    var $banner = $('<div class="cs_draft_banner col-md-12" role="region"></div>').attr('aria-label', t('drafts.region'));
+    var $restore = $('<button type="button" class="cs_draft_restore"></button>').text(t('drafts.restore'));
+    var $discard = $('<button type="button" class="cs_draft_discard"></button>').text(t('drafts.discard'));
+
+    $banner
+      .append(
+        $('<p class="mb-0"></p>').text(t('drafts.prompt', { date: formatSavedAt(draft.savedAt) })),
+      )
+      .append($('<div class="cs_draft_actions"></div>').append($restore, $discard));
+
+    $restore.on('click', function () {
+      $banner.remove();
+      onRestore();
+    });
+    $discard.on('click', function () {
+      $banner.remove();
+      onDiscard();
+    });
+
+    $form.prepend($banner);
+    return $banner;
+  }
+
+  /*--------------------------------------------------------------
+    4. Autosave
+  --------------------------------------------------------------*/
+  function formDrafts() {
+    $('[data-draft]').each(function () {
+      var $form = $(this);
+      var key = $form.data('draft');
+      var ttl = parseFloat($form.data('draft-ttl')) || DEFAULT_TTL_HOURS;
+      var draft = readDraft(key);
+      var $banner = null;
+      var timer;
+
+      function save() {
+        var fields = collect($form);
+        if (fields) {
+          writeDraft(key, fields, ttl);
+        } else {
+          clearDraft(key);
+        }
+      }
+
+      if (draft) {
+        $banner = showBanner(
+          $form,
+          draft,
+          function () {
+            $banner = null;
+            restore($form, draft.fields);
+          },
+          function () {
+            $banner = null;
+            clearDraft(key);
+          },
+        );
+      }
+
+      $form.on('input change', '[name]', function () {
+        // Typing a new request replaces the old draft
+        if ($banner) {
+          $banner.remove();
+          $banner = null;
+        }
+        window.clearTimeout(timer);
+        timer = window.setTimeout(save, SAVE_DELAY);
+      });
+
+      $form.on($form.is('[data-booking-form]') ? 'booking:confirmed' : 'submit', function () {
+        window.clearTimeout(timer);
+        clearDraft(key);
+      });
+    });
+  }
+
+  Sadouni.drafts = {
+    read: readDraft,
+    write: writeDraft,
+    clear: clearDraft,
+  };
+})(jQuery, window);
@@ -0,0 +1,109 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | I18n
+  |--------------------------------------------------------------------------
+  |
+  | The language of the page, taken from <html lang>, and its strings from
+  | assets/js/translations.js (loaded first). Scripts use it for every text
+  | they put on the page and every link they build:
+  |
+  |   Sadouni.i18n.t('slots.none')                      translated string
+  |   Sadouni.i18n.t('drafts.prompt', { date: '…' })    with placeholders
+  |   Sadouni.i18n.url('contact.html')                  "ar/contact.html"
+  |                                                     on an Arabic page
+  |
+  | Translated pages carry <base href="../">, so every URL stays relative
+  | to the root of the site whatever the language.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var DEFAULT_LOCALE = 'fr';
+
+  function translations() {
+    return Sadouni.translations || {};
+  }
+
+  function language(code) {
+    return translations()[code] || translations()[DEFAULT_LOCALE] || {};
+  }
+
+  var locale = (function () {
+    var lang = String(window.document.documentElement.lang || '').toLowerCase().split('-')[0];
+    return translations()[lang] ? lang : DEFAULT_LOCALE;
+  })();
+
+  /*--------------------------------------------------------------
+    1. Messages
+  --------------------------------------------------------------*/
+  function find(messages, key) {
+    var value = messages;
+    $.each(String(key).split('.'), function (_, part) {
+      value = value !== null && typeof value === 'object' ? value[part] : undefined;
+      return value !== undefined;
+    });
+    return value;
+  }
+
+  // The message in the page language, else in French, else undefined
+  function lookup(key) {
+    var value = find(language(locale).messages, key);
+    return value === undefined ? find(language(DEFAULT_LOCALE).messages, key) : value;
+  }
+
+  function t(key, params) {
+    var message = lookup(key);
+    if (typeof message !== 'string') {
+      return key;
+    }
+    return message.replace(/\{(\w+)\}/g, function (placeholder, name) {
+      return params && params[name] !== undefined && params[name] !== null ? params[name] : placeholder;
+    });
+  }
+
+  /*--------------------------------------------------------------
+    2. Catalog Entries and Data Files
+  --------------------------------------------------------------*/
+  // Label and description of a specialty in the page language
+  function specialty(entry) {
+    return $.extend({}, entry, (language(locale).specialties || {})[entry.id]);
+  }
+
+  // A text of assets/data/*.json, either a plain string or one per
+  // language ({ "fr": "…", "ar": "…", "en": "…" }), in the page language
+  // or else in French
+  function localized(value) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    return value[locale] !== undefined ? value[locale] : value[DEFAULT_LOCALE];
+  }
+
+  /*--------------------------------------------------------------
+    3. Links
+  --------------------------------------------------------------*/
+  // A page in the given language, or the French page when it has no
+  // translation yet; `page` may carry a #hash or ?query
+  function url(page, code) {
+    var lang = code || locale;
+    var file = String(page).split(/[?#]/)[0];
+    var pages = language(lang).pages;
+    return lang !== DEFAULT_LOCALE && pages && $.inArray(file, pages) !== -1 ? lang + '/' + page : page;
+  }
+
+  Sadouni.i18n = {
+    defaultLocale: DEFAULT_LOCALE,
+    locale: locale,
+    dir: language(locale).dir || 'ltr',
+    isRtl: language(locale).dir === 'rtl',
+    t: t,
+    lookup: lookup,
+    specialty: specialty,
+    localized: localized,
+    url: url,
+  };
+})(jQuery, window);
@@ -0,0 +1,116 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Load More
+  |--------------------------------------------------------------------------
+  |
+  | "Charger plus" on the paginated blog listing. The build writes every
+  | page of the listing (blog.html, blog/page/2.html…) with numbered
+  | links; where the History API is there, the button fetches the next
+  | page, appends its posts to [data-load-more-list], swaps in its
+  | pagination and moves the address bar to it, so a reload or a shared
+  | link lands on the same page. Without JavaScript, or if the fetch
+  | fails, the numbered links do the job.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var $list;
+  var $nav;
+  var $block;
+  var $button;
+  var $status;
+  // Path of the listing page the posts were last loaded up to
+  var shown;
+
+  function t(key, params) {
+    return Sadouni.i18n.t('pagination.' + key, params);
+  }
+
+  function nextUrl() {
+    var $next = $nav.find('a[rel="next"]');
+    return $next.length ? $next.prop('href') : null;
+  }
+
+  // Pages live at different depths (blog.html, blog/page/2.html) but
+  // their links are written for the site root: fix the base to an
+  // absolute URL before the address changes under it
+  function pinBase() {
+    var base = document.baseURI;
+    var $base = $('base');
+    if ($base.length) {
+      $base.attr('href', base);
+    } else {
+      $('head').prepend($('<base>', { href: base }));
+    }
+  }
+
+  function busy(state) {
+    $button.prop('disabled', state).attr('aria-busy', state ? 'true' : 'false');
+    $button.find('.cs_btn_text').text(t(state ? 'loading' : 'loadMore'));
+  }
+
+  function append(html, url) {
+    var $page = $('<div>').append($.parseHTML(html));
+    var $posts = $page.find('[data-load-more-list]').children();
+    var $pagination = $page.find('[data-pagination]');
+
+    $list.append($posts);
+    if ($pagination.length) {
+      $nav.replaceWith($pagination);
+      $nav = $pagination;
+    }
+    pinBase();
+    window.history.pushState({ loadMore: true }, '', url);
+    shown = window.location.pathname;
+
+    $status.text(t('loaded', { count: $posts.length }));
+    $posts.find('a').first().trigger('focus');
+    $block.prop('hidden', !nextUrl());
+  }
+
+  function loadMore() {
+    var url = nextUrl();
+    if (!url) {
+      return;
+    }
+    busy(true);
+    $.get(url)
+      .done(function (html) {
+        busy(false);
+        append(html, url);
+      })
+      .fail(function () {
+        window.location.href = url;
+      });
+  }
+
+  function init() {
+    $list = $('[data-load-more-list]');
+    $nav = $('[data-pagination]');
+    $block = $('[data-load-more]');
+    if (!$list.length || !$block.length || !window.history.pushState || !nextUrl()) {
+      return;
+    }
+    $button = $block.find('button');
+    $status = $block.find('[data-load-more-status]');
+
+    $button.on('click', loadMore);
+    $block.prop('hidden', false);
+    shown = window.location.pathname;
+
+    // The list was built up in place: back and forward to another page
+    // of the listing load it. Other entries (a #fragment, another
+    // script's state) are left to the browser.
+    $(window).on('popstate', function () {
+      if (window.location.pathname !== shown) {
+        window.location.reload();
+      }
+    });
+  }
+
+  $(init);
+})(jQuery, window);
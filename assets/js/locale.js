@@ -0,0 +1,192 @@
+(function (root, factory) {
+  'use strict';
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./translations.js'), null);
+  } else {
+    var Sadouni = (root.Sadouni = root.Sadouni || {});
+    Sadouni.locale = factory(Sadouni.translations, Sadouni);
+  }
+})(typeof window !== 'undefined' ? window : this, function (translations, Sadouni) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Locale
+  |--------------------------------------------------------------------------
+  |
+  | How dates, times and numbers are written in each language, from the
+  | `intl` locale of assets/js/translations.js (loaded first). Pages read
+  | it as `Sadouni.locale` and default to the page language; the build
+  | `require()`s it and passes the language code.
+  |
+  |   formatDate('2024-08-04')              "4 août 2024"
+  |   formatDate(date, 'ar', 'numeric')     "04/08/2024"
+  |   formatDate(date, 'fr', 'month')       "août 2024"
+  |   formatTime('9:30')                    "09:30", always 24h
+  |   formatNumber(3000)                    "3 000"
+  |   datepicker(), timepicker()            jQuery UI and timepicker options
+  |   odometerFormat()                      "( ddd)", counter separators
+  |
+  | Weeks start on Monday in every language.
+  |
+  */
+
+  var DEFAULT_LOCALE = 'fr';
+  var FIRST_DAY = 1;
+
+  // Direction marks Intl puts around separators in right-to-left locales
+  var BIDI_MARKS = /[\u061c\u200e\u200f]/g;
+
+  var STYLES = {
+    long: { day: 'numeric', month: 'long', year: 'numeric' },
+    short: { day: 'numeric', month: 'short', year: 'numeric' },
+    numeric: { day: '2-digit', month: '2-digit', year: 'numeric' },
+    month: { month: 'long', year: 'numeric' },
+  };
+
+  function code(lang) {
+    var found = lang || (Sadouni && Sadouni.i18n ? Sadouni.i18n.locale : DEFAULT_LOCALE);
+    return translations[found] ? found : DEFAULT_LOCALE;
+  }
+
+  function tag(lang) {
+    return translations[code(lang)].intl || translations[DEFAULT_LOCALE].intl;
+  }
+
+  function message(lang, key) {
+    var own = (translations[code(lang)].messages.datepicker || {})[key];
+    return own !== undefined ? own : translations[DEFAULT_LOCALE].messages.datepicker[key];
+  }
+
+  /*--------------------------------------------------------------
+    1. Dates and Times
+  --------------------------------------------------------------*/
+  // Date, timestamp, "YYYY-MM-DD" (local midnight) or null
+  function toDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value;
+    }
+    var iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (iso) {
+      return new Date(+iso[1], iso[2] - 1, +iso[3]);
+    }
+    var date = typeof value === 'number' ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+  }
+
+  // Unreadable dates come back as they were given
+  function formatDate(value, lang, style) {
+    var date = toDate(value);
+    if (!date) {
+      return value === undefined || value === null ? '' : String(value);
+    }
+    return new Intl.DateTimeFormat(tag(lang), STYLES[style] || STYLES.long).format(date);
+  }
+
+  // Date or "H:MM"; every language gets a 24-hour clock
+  function formatTime(value, lang) {
+    var date = value instanceof Date ? value : null;
+    var clock = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    if (!date && clock) {
+      date = new Date(2000, 0, 1, +clock[1], +clock[2]);
+    }
+    if (!date) {
+      return value === undefined || value === null ? '' : String(value);
+    }
+    return new Intl.DateTimeFormat(tag(lang), { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .format(date)
+      .replace(BIDI_MARKS, '');
+  }
+
+  // Twelve months from January, or seven days from Sunday (the order
+  // jQuery UI expects whatever the first day of the week)
+  function names(lang, field, width) {
+    var format = new Intl.DateTimeFormat(tag(lang), field === 'month' ? { month: width } : { weekday: width });
+    var result = [];
+    for (var i = 0; i < (field === 'month' ? 12 : 7); i++) {
+      // 2023-01-01 was a Sunday
+      result.push(format.format(field === 'month' ? new Date(2023, i, 15) : new Date(2023, 0, 1 + i)));
+    }
+    return result;
+  }
+
+  function monthNames(lang, width) {
+    return names(lang, 'month', width || 'long');
+  }
+
+  function dayNames(lang, width) {
+    return names(lang, 'weekday', width || 'long');
+  }
+
+  // The numeric date pattern in jQuery UI notation: "dd/mm/yy"
+  function dateFormat(lang) {
+    var tokens = { day: 'dd', month: 'mm', year: 'yy' };
+    return new Intl.DateTimeFormat(tag(lang), STYLES.numeric)
+      .formatToParts(new Date(2024, 0, 2))
+      .map(function (part) {
+        return tokens[part.type] || part.value.replace(BIDI_MARKS, '');
+      })
+      .join('');
+  }
+
+  /*--------------------------------------------------------------
+    2. Numbers
+  --------------------------------------------------------------*/
+  function formatNumber(value, lang) {
+    return new Intl.NumberFormat(tag(lang)).format(value);
+  }
+
+  function groupSeparator(lang) {
+    var group = new Intl.NumberFormat(tag(lang)).formatToParts(1000).filter(function (part) {
+      return part.type === 'group';
+    })[0];
+    return group ? group.value : '';
+  }
+
+  /*--------------------------------------------------------------
+    3. Widgets
+  --------------------------------------------------------------*/
+  // jQuery UI datepicker regional settings
+  function datepicker(lang) {
+    return {
+      closeText: message(lang, 'close'),
+      prevText: message(lang, 'prev'),
+      nextText: message(lang, 'next'),
+      currentText: message(lang, 'today'),
+      weekHeader: message(lang, 'week'),
+      monthNames: monthNames(lang),
+      monthNamesShort: monthNames(lang, 'short'),
+      dayNames: dayNames(lang),
+      dayNamesShort: dayNames(lang, 'short'),
+      dayNamesMin: dayNames(lang, 'narrow'),
+      dateFormat: dateFormat(lang),
+      firstDay: FIRST_DAY,
+      isRTL: translations[code(lang)].dir === 'rtl',
+      showMonthAfterYear: false,
+      yearSuffix: '',
+    };
+  }
+
+  // jquery-timepicker settings; "H:i" is its 24-hour "09:30"
+  function timepicker() {
+    return { timeFormat: 'H:i' };
+  }
+
+  // Odometer digit format with the thousands separator of the language
+  function odometerFormat(lang) {
+    return '(' + groupSeparator(lang) + 'ddd)';
+  }
+
+  return {
+    tag: tag,
+    formatDate: formatDate,
+    formatTime: formatTime,
+    formatNumber: formatNumber,
+    monthNames: monthNames,
+    dayNames: dayNames,
+    dateFormat: dateFormat,
+    datepicker: datepicker,
+    timepicker: timepicker,
+    odometerFormat: odometerFormat,
+  };
+});
@@ -15,7 +15,7 @@
   | 2. Mobile Menu
   | 3. Sticky Header
   | 4. Dynamic Background
-  | 5. Slick Slider
+  | 5. Slider
   | 6. Modal Video
   | 7. Scroll Up
   | 8. Ripple
@@ -38,6 +38,11 @@
     return $(selector).length > 0;
   };
 
+  // Arabic pages are laid out right to left (<html dir="rtl">)
+  function isRtl() {
+    return $('html').attr('dir') === 'rtl';
+  }
+
   $(window).on('load', function () {
     preloader();
   });
@@ -47,7 +52,7 @@
     stickyHeader();
     dynamicBackground();
     counterInit();
-    slickInit();
+    sliderInit();
     modalVideo();
     scrollUp();
     rippleInit();
@@ -148,137 +153,23 @@
   }
 
   /*--------------------------------------------------------------
-    5. Slick Slider
+    5. Slider
   --------------------------------------------------------------*/
-  function slickInit() {
-    if ($.exists('.cs_slider')) {
-      $('.cs_slider').each(function () {
-        // Slick Variable
-        var $ts = $(this).find('.cs_slider_container');
-        var $slickActive = $(this).find('.cs_slider_wrapper');
-        // Auto Play
-        var autoPlayVar = parseInt($ts.attr('data-autoplay'), 10);
-        // Auto Play Time Out
-        var autoplaySpdVar = 3000;
-        if (autoPlayVar > 1) {
-          autoplaySpdVar = autoPlayVar;
-          autoPlayVar = 1;
-        }
-        // Slide Change Speed
-        var speedVar = parseInt($ts.attr('data-speed'), 10);
-        // Slider Loop
-        var loopVar = Boolean(parseInt($ts.attr('data-loop'), 10));
-        // Slider Center
-        var centerVar = Boolean(parseInt($ts.attr('data-center'), 10));
-        // Variable Width
-        var variableWidthVar = Boolean(
-          parseInt($ts.attr('data-variable-width'), 10),
-        );
-        // Pagination
-        var paginaiton = $(this)
-          .find('.cs_pagination')
-          .hasClass('cs_pagination');
-        // Slide Per View
-        var slidesPerView = $ts.attr('data-slides-per-view');
-        if (slidesPerView === 1) {
-          slidesPerView = 1;
-        }
-        if (slidesPerView === 'responsive') {
-          var slidesPerView = parseInt($ts.attr('data-add-slides'), 10);
-          var lgPoint = parseInt($ts.attr('data-lg-slides'), 10);
-          var mdPoint = parseInt($ts.attr('data-md-slides'), 10);
-          var smPoint = parseInt($ts.attr('data-sm-slides'), 10);
-          var xsPoing = parseInt($ts.attr('data-xs-slides'), 10);
-        }
-        // Fade Slider
-        var fadeVar = parseInt($($ts).attr('data-fade-slide'));
-        fadeVar === 1 ? (fadeVar = true) : (fadeVar = false);
-
-        // Slick Active Code
-        $slickActive.slick({
-          autoplay: autoPlayVar,
-          dots: paginaiton,
-          centerPadding: '28%',
-          speed: speedVar,
-          infinite: loopVar,
-          autoplaySpeed: autoplaySpdVar,
-          centerMode: centerVar,
-          fade: fadeVar,
-          prevArrow: $(this).find('.cs_left_arrow'),
-          nextArrow: $(this).find('.cs_right_arrow'),
-          appendDots: $(this).find('.cs_pagination'),
-          slidesToShow: slidesPerView,
-          variableWidth: variableWidthVar,
-          swipeToSlide: true,
-          responsive: [
-            {
-              breakpoint: 1600,
-              settings: {
-                slidesToShow: lgPoint,
-              },
-            },
-            {
-              breakpoint: 1200,
-              settings: {
-                slidesToShow: mdPoint,
-              },
-            },
-            {
-              breakpoint: 992,
-              settings: {
-                slidesToShow: smPoint,
-              },
-            },
-            {
-              breakpoint: 768,
-              settings: {
-                slidesToShow: xsPoing,
-              },
-            },
-          ],
-        });
-      });
+  // Options, keyboard and ARIA in assets/js/slider.js (loaded first)
+  function sliderInit() {
+    if ($.exists('.cs_slider') && window.Sadouni && window.Sadouni.slider) {
+      window.Sadouni.slider.init($('.cs_slider'));
     }
   }
 
   /*--------------------------------------------------------------
     6. Modal Video
   --------------------------------------------------------------*/
+  // Allow-list, consent and focus handling in assets/js/video-modal.js
+  // (loaded first)
   function modalVideo() {
-    if ($.exists('.cs_video_open')) {
-      $('body').append(`
-        <div class="cs_video_popup">
-          <div class="cs_video_popup-overlay"></div>
-          <div class="cs_video_popup-content">
-            <div class="cs_video_popup-layer"></div>
-            <div class="cs_video_popup-container">
-              <div class="cs_video_popup-align">
-                <div class="embed-responsive embed-responsive-16by9">
-                  <iframe class="embed-responsive-item" src="about:blank"></iframe>
-                </div>
-              </div>
-              <div class="cs_video_popup-close"></div>
-            </div>
-          </div>
-        </div>
-      `);
-      $(document).on('click', '.cs_video_open', function (e) {
-        e.preventDefault();
-        var video = $(this).attr('href');
-
-        $('.cs_video_popup-container iframe').attr('src', `${video}`);
-
-        $('.cs_video_popup').addClass('active');
-      });
-      $('.cs_video_popup-close, .cs_video_popup-layer').on(
-        'click',
-        function (e) {
-          $('.cs_video_popup').removeClass('active');
-          $('html').removeClass('overflow-hidden');
-          $('.cs_video_popup-container iframe').attr('src', 'about:blank');
-          e.preventDefault();
-        },
-      );
+    if ($.exists('.cs_video_open') && window.Sadouni && window.Sadouni.videoModal) {
+      window.Sadouni.videoModal.init();
     }
   }
 
@@ -324,54 +215,23 @@
   /*--------------------------------------------------------------
     9. Counter Animation
   --------------------------------------------------------------*/
+  // Viewport, locale and reduced motion handling in assets/js/counters.js
+  // (loaded first)
   function counterInit() {
-    if ($.exists('.odometer')) {
-      $(window).on('scroll', function () {
-        function winScrollPosition() {
-          var scrollPos = $(window).scrollTop(),
-            winHeight = $(window).height();
-          var scrollPosition = Math.round(scrollPos + winHeight / 1.2);
-          return scrollPosition;
-        }
-
-        $('.odometer').each(function () {
-          var elemOffset = $(this).offset().top;
-          if (elemOffset < winScrollPosition()) {
-            $(this).html($(this).data('count-to'));
-          }
-        });
-      });
+    if ($.exists('.odometer') && window.Sadouni && window.Sadouni.counters) {
+      window.Sadouni.counters.init($('.odometer'));
     }
   }
 
   /*--------------------------------------------------------------
     10. Accordian
   --------------------------------------------------------------*/
+  // Disclosure buttons, deep links, filter and "expand all" in
+  // assets/js/accordion.js (loaded first)
   function accordian() {
-    $('.cs_accordian').children('.cs_accordian_body').hide();
-    $('.cs_accordian.active').children('.cs_accordian_body').show();
-    $('.cs_accordian_head').on('click', function () {
-      $(this)
-        .parent('.cs_accordian')
-        .siblings()
-        .children('.cs_accordian_body')
-        .slideUp(250);
-      $(this).siblings().slideDown(400);
-      $(this)
-        .parent()
-        .parent()
-        .siblings()
-        .find('.cs_accordian_body')
-        .slideUp(250);
-      /* Accordian Active Class */
-      $(this).parents('.cs_accordian').addClass('active');
-      $(this).parent('.cs_accordian').siblings().removeClass('active');
-      $(this)
-        .parents('.col-lg-6')
-        .siblings()
-        .find('.cs_accordian')
-        .removeClass('active');
-    });
+    if ($.exists('.cs_accordian') && window.Sadouni && window.Sadouni.accordion) {
+      window.Sadouni.accordion.init($('.cs_accordian'));
+    }
   }
 
   /*--------------------------------------------------------------
@@ -425,7 +285,8 @@
 
         var maxX = $container.outerWidth(),
           offsetX = $container.offset().left,
-          startX = 0;
+          startX = 0,
+          rtl = isRtl();
 
         var touchstart, touchmove, touchend;
         var mousemove = function (e) {
@@ -439,8 +300,15 @@
           if (curPos < 0) {
             curPos = 0;
           }
-          $before.css({ right: 100 - curPos + '%' });
-          $handle.css({ left: curPos + '%' });
+          // Right To Left: the before image sits on the right, so positions
+          // are measured from the right edge
+          if (rtl) {
+            $before.css({ left: curPos + '%' });
+            $handle.css({ right: 100 - curPos + '%' });
+          } else {
+            $before.css({ right: 100 - curPos + '%' });
+            $handle.css({ left: curPos + '%' });
+          }
         };
         var mouseup = function (e) {
           e.preventDefault();
@@ -510,11 +378,26 @@
     16. Date Picker and Select2
   --------------------------------------------------------------*/
   function timeAndDatePicker() {
-    $('#datepicker').datepicker({});
-    $('.cs_time').timepicker({
-      minTime: '9:00am',
-      maxTime: '11:00pm',
+    // Month and day names, date format and first weekday of the page
+    // language (assets/js/locale.js)
+    var locale = window.Sadouni && window.Sadouni.locale;
+    if (locale && $.datepicker) {
+      $.datepicker.setDefaults(locale.datepicker());
+    }
+    $('#datepicker').datepicker({
+      minDate: 0,
     });
+    // The hours of assets/data/schedule.json, on the pages that load
+    // assets/js/availability.js to read it
+    if ($.exists('.cs_time') && window.Sadouni && window.Sadouni.availability) {
+      window.Sadouni.availability
+        .load()
+        .then(function (schedule) {
+          $('.cs_time').timepicker($.extend(schedule.timeRange(), locale ? locale.timepicker() : {}));
+        })
+        // Without a schedule the field stays a plain text input
+        .catch($.noop);
+    }
     if ($.exists('.cs_select')) {
       $('.cs_select').select2({
         placeholder: function () {
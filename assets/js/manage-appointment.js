@@ -0,0 +1,166 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Manage Appointment
+  |--------------------------------------------------------------------------
+  |
+  | Drives gerer-rendez-vous.html: the patient looks a booking up with its
+  | reference and phone number, then reschedules it (availability-aware
+  | datepicker and slot picker) or cancels it through the booking adapter.
+  |
+  | Load after booking.js and before availability.js, which picks up the
+  | adapter of the reschedule form.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  $(function () {
+    manageAppointment();
+  });
+
+  function t(key, params) {
+    return Sadouni.i18n.t(key, params);
+  }
+
+  /*--------------------------------------------------------------
+    1. Details
+  --------------------------------------------------------------*/
+  // "2026-11-02" as "2 novembre 2026" in the page language
+  function formatDate(iso) {
+    return iso ? Sadouni.locale.formatDate(iso) : '—';
+  }
+
+  function formatTime(time) {
+    return time ? Sadouni.locale.formatTime(time) : '—';
+  }
+
+  function renderDetails($details, record) {
+    var status = Sadouni.i18n.lookup('manage.statuses.' + record.status);
+    var rows = [
+      [t('manage.reference'), record.reference],
+      [t('manage.patient'), record.name],
+      [t('manage.specialty'), Sadouni.specialties ? Sadouni.specialties.label(record.department) : record.department],
+      [t('manage.date'), formatDate(record.date)],
+      [t('manage.time'), formatTime(record.time)],
+      [t('manage.status'), typeof status === 'string' ? status : record.status],
+    ];
+    var $list = $('<dl class="cs_manage_list"></dl>');
+    $.each(rows, function (_, row) {
+      $list.append(
+        $('<div class="cs_manage_item"></div>').append(
+          $('<dt></dt>').text(row[0]),
+          $('<dd></dd>').text(row[1] || '—'),
+        ),
+      );
+    });
+    $details.find('.cs_manage_summary').empty().append($list);
+    $details
+      .find('[data-manage-actions]')
+      .prop('hidden', record.status === 'cancelled');
+    $details.prop('hidden', false);
+  }
+
+  function showMessage($target, text, isError) {
+    $target
+      .toggleClass('cs_booking_error', !!isError)
+      .toggleClass('cs_booking_success', !isError)
+      .text(text);
+  }
+
+  /*--------------------------------------------------------------
+    2. Page
+  --------------------------------------------------------------*/
+  function manageAppointment() {
+    var $lookup = $('[data-manage-lookup]');
+    if (!$lookup.length) {
+      return;
+    }
+    var $details = $('[data-manage-details]');
+    var $reschedule = $('[data-manage-reschedule]');
+    var $status = $details.find('.cs_booking_status');
+    var $lookupStatus = $lookup.find('.cs_booking_status');
+    var adapter = Sadouni.booking.createAdapter($lookup.data('booking-adapter') || 'local', {
+      endpoint: $lookup.data('booking-endpoint'),
+    });
+    var current = null;
+    var phone = '';
+
+    $reschedule.data('booking-adapter-instance', adapter);
+
+    function show(record) {
+      current = record;
+      $reschedule.data('exclude-reference', record.reference);
+      $reschedule.find('[name="department"]').val(record.department);
+      renderDetails($details, record);
+    }
+
+    // ?reference=SDN-... from the booking confirmation link
+    var reference = new window.URLSearchParams(window.location.search).get('reference');
+    if (reference) {
+      $lookup.find('[name="reference"]').val(reference);
+    }
+
+    $lookup.on('submit', function (e) {
+      e.preventDefault();
+      var values = Sadouni.booking.serializeForm($lookup);
+      phone = values.phone;
+      $details.prop('hidden', true);
+      $reschedule.prop('hidden', true);
+      adapter.find(values.reference, phone).then(
+        function (record) {
+          if (!record) {
+            showMessage($lookupStatus, t('manage.notFound'), true);
+            return;
+          }
+          $lookupStatus.empty();
+          $status.empty();
+          show(record);
+        },
+        function () {
+          showMessage($lookupStatus, t('manage.lookupFailed'), true);
+        },
+      );
+    });
+
+    $details.on('click', '[data-manage-reschedule-open]', function () {
+      $reschedule.prop('hidden', false);
+      $reschedule.find('.hasDatepicker').trigger('focus');
+    });
+
+    $details.on('click', '[data-manage-cancel]', function () {
+      if (!current || !window.confirm(t('manage.confirmCancel'))) {
+        return;
+      }
+      adapter.cancel(current.reference, phone).then(
+        function (record) {
+          show(record);
+          $reschedule.prop('hidden', true);
+          showMessage($status, t('manage.cancelDone'));
+        },
+        function () {
+          showMessage($status, t('manage.cancelFailed'), true);
+        },
+      );
+    });
+
+    $reschedule.on('submit', function (e) {
+      e.preventDefault();
+      var change = Sadouni.booking.serializeForm($reschedule);
+      adapter.reschedule(current.reference, phone, change).then(
+        function (record) {
+          show(record);
+          $reschedule.prop('hidden', true);
+          $reschedule[0].reset();
+          $reschedule.trigger('booking:confirmed', [record]);
+          showMessage($status, t('manage.rescheduleDone', { date: formatDate(record.date), time: formatTime(record.time) }));
+        },
+        function () {
+          showMessage($status, t('manage.rescheduleFailed'), true);
+        },
+      );
+    });
+  }
+})(jQuery, window);
@@ -0,0 +1,306 @@
+(function (root, factory) {
+  'use strict';
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    var Sadouni = (root.Sadouni = root.Sadouni || {});
+    Sadouni.searchEngine = factory();
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Search Engine
+  |--------------------------------------------------------------------------
+  |
+  | Full-text search over the index the build writes to
+  | assets/search/<lang>.json; the build `require()`s this file to make
+  | the index, the header search (search.js) to query it, so words are cut
+  | and stemmed the same way on both sides.
+  |
+  |   fold('Cornée')                       "cornee", accents and case
+  |                                        dropped (Arabic: short vowels,
+  |                                        hamza forms of alif)
+  |   terms('Les cornées', 'fr')           ["corn"], stop words removed
+  |   buildIndex(documents, 'fr')          { lang, documents, terms }
+  |   search(index, 'corne')               best matches first, the last
+  |                                        word of the query as a prefix
+  |   highlight(text, result.terms, 'fr')  [{ text, match }] to render
+  |   snippet(text, result.terms, 'fr')    the same, around the first match
+  |
+  | A document is { type, title, url, text }; words in its title count
+  | TITLE_WEIGHT times.
+  |
+  */
+
+  var TITLE_WEIGHT = 3;
+  var MAX_RESULTS = 8;
+  var SNIPPET_LENGTH = 160;
+  var MIN_STEM = 3;
+
+  // Latin letters with their accents, Arabic letters (short vowels
+  // included) and digits
+  var WORD = /[0-9a-z\u00c0-\u00d6\u00d8-\u00f6\u00f8-\u024f\u0621-\u0669\u066e-\u06d3]+/gi;
+
+  var STOP_WORDS = {
+    fr: 'a au aux avec ce ces cette d dans de des du elle en est et il ils je l la le les leur lui m ma mais me mes n ne nos notre nous on ou par pas plus pour qu que qui s sa se ses son sont sur t ta te un une vos votre vous y',
+    en: 'a an and are as at be by for from has have in is it its of on or that the their this to was were will with you your',
+    ar: 'في من على الى عن مع او ثم هذا هذه ذلك التي الذي ان كان قد ما لا هو هي',
+  };
+
+  var SUFFIXES = {
+    fr: ['issement', 'atrice', 'ement', 'ation', 'ateur', 'ition', 'able', 'ible', 'ique', 'isme', 'iste', 'euse', 'eux', 'ive', 'ite', 'ee', 'er', 'ez', 'e'],
+    en: ['ations', 'ation', 'ness', 'ing', 'ly', 'ed', 'er'],
+    ar: ['ات', 'ون', 'ين', 'ان', 'ها', 'يه', 'ه'],
+  };
+
+  var stopWords = {};
+  Object.keys(STOP_WORDS).forEach(function (lang) {
+    stopWords[lang] = {};
+    STOP_WORDS[lang].split(' ').forEach(function (word) {
+      stopWords[lang][word] = true;
+    });
+  });
+
+  /*--------------------------------------------------------------
+    1. Words
+  --------------------------------------------------------------*/
+  function fold(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f\u064b-\u065f\u0640\u0670]/g, '')
+      .replace(/œ/g, 'oe')
+      .replace(/æ/g, 'ae')
+      .replace(/[آأإ]/g, 'ا')
+      .replace(/ى/g, 'ي')
+      .replace(/ة/g, 'ه');
+  }
+
+  function cut(word, suffixes) {
+    for (var i = 0; i < suffixes.length; i++) {
+      var suffix = suffixes[i];
+      if (word.length - suffix.length >= MIN_STEM && word.slice(-suffix.length) === suffix) {
+        return word.slice(0, -suffix.length);
+      }
+    }
+    return word;
+  }
+
+  // Light stemmers: enough for "cataractes" to meet "cataracte" and
+  // "opération" to meet "opérer", not a grammar
+  var STEMMERS = {
+    fr: function (word) {
+      if (word.length > 4 && /aux$/.test(word)) {
+        word = word.slice(0, -3) + 'al';
+      } else if (word.length > 3 && /[sx]$/.test(word)) {
+        word = word.slice(0, -1);
+      }
+      return cut(word, SUFFIXES.fr);
+    },
+    en: function (word) {
+      if (word.length > 4 && /ies$/.test(word)) {
+        word = word.slice(0, -3) + 'y';
+      } else if (word.length > 3 && /[^s]s$/.test(word)) {
+        word = word.slice(0, -1);
+      }
+      return cut(word, SUFFIXES.en);
+    },
+    ar: function (word) {
+      var prefix = /^(وال|بال|كال|فال|لل|ال)/.exec(word);
+      if (prefix && word.length - prefix[0].length >= MIN_STEM) {
+        word = word.slice(prefix[0].length);
+      }
+      return cut(word, SUFFIXES.ar);
+    },
+  };
+
+  function stem(word, lang) {
+    return (STEMMERS[lang] || STEMMERS.fr)(fold(word));
+  }
+
+  // Every word of the text with where it is, stop words included
+  function words(text) {
+    var found = [];
+    var match;
+    WORD.lastIndex = 0;
+    while ((match = WORD.exec(String(text)))) {
+      found.push({ word: match[0], start: match.index, end: WORD.lastIndex });
+    }
+    return found;
+  }
+
+  function isStopWord(word, lang) {
+    return !!(stopWords[lang] || stopWords.fr)[fold(word)];
+  }
+
+  function terms(text, lang) {
+    return words(text)
+      .filter(function (found) {
+        return !isStopWord(found.word, lang);
+      })
+      .map(function (found) {
+        return stem(found.word, lang);
+      });
+  }
+
+  /*--------------------------------------------------------------
+    2. Index
+  --------------------------------------------------------------*/
+  // terms: { stem: [[document, weight], …] }
+  function buildIndex(documents, lang) {
+    var index = { lang: lang, documents: documents, terms: {} };
+    documents.forEach(function (document, position) {
+      var weights = {};
+      function add(text, weight) {
+        terms(text, lang).forEach(function (term) {
+          weights[term] = (weights[term] || 0) + weight;
+        });
+      }
+      add(document.title, TITLE_WEIGHT);
+      add(document.text, 1);
+      Object.keys(weights).forEach(function (term) {
+        (index.terms[term] = index.terms[term] || []).push([position, weights[term]]);
+      });
+    });
+    return index;
+  }
+
+  // The index terms a query word stands for: its stem, or, for the word
+  // being typed, every term starting with it and every shorter term it
+  // starts with ("operat" finds "oper")
+  function expand(index, word, lang, partial) {
+    var wanted = stem(word, lang);
+    if (!partial) {
+      return index.terms[wanted] ? [wanted] : [];
+    }
+    var folded = fold(word);
+    return Object.keys(index.terms).filter(function (term) {
+      return (
+        term.indexOf(wanted) === 0 ||
+        (term.length >= MIN_STEM + 1 && folded.indexOf(term) === 0)
+      );
+    });
+  }
+
+  // Documents holding every word of the query, best first. Each result
+  // is { document, score, terms } where `terms` are the index terms that
+  // matched, for highlight() and snippet().
+  function search(index, query, limit) {
+    var lang = index.lang;
+    var queryWords = words(query).filter(function (found, i, all) {
+      return i === all.length - 1 || !isStopWord(found.word, lang);
+    });
+    if (!queryWords.length) {
+      return [];
+    }
+    var total = index.documents.length;
+    var scores = null;
+    var matched = [];
+    var partial = /[0-9a-z\u00c0-\u024f\u0621-\u06d3]$/i.test(query);
+
+    queryWords.forEach(function (found, i) {
+      var expanded = expand(index, found.word, lang, partial && i === queryWords.length - 1);
+      var wordScores = {};
+      // A stop word kept as the start of a longer word ("l" for "lentilles")
+      if (!expanded.length && isStopWord(found.word, lang)) {
+        return;
+      }
+      expanded.forEach(function (term) {
+        var postings = index.terms[term];
+        var rarity = Math.log(1 + total / postings.length);
+        postings.forEach(function (posting) {
+          wordScores[posting[0]] = (wordScores[posting[0]] || 0) + posting[1] * rarity;
+        });
+      });
+      matched = matched.concat(expanded);
+      if (scores === null) {
+        scores = wordScores;
+        return;
+      }
+      Object.keys(scores).forEach(function (position) {
+        if (wordScores[position] === undefined) {
+          delete scores[position];
+        } else {
+          scores[position] += wordScores[position];
+        }
+      });
+    });
+
+    return Object.keys(scores || {})
+      .map(function (position) {
+        return { document: index.documents[position], score: scores[position], terms: matched };
+      })
+      .sort(function (a, b) {
+        return b.score - a.score;
+      })
+      .slice(0, limit || MAX_RESULTS);
+  }
+
+  /*--------------------------------------------------------------
+    3. Highlighting
+  --------------------------------------------------------------*/
+  // The text in parts, `match` on the words whose stem is in `matched`
+  function highlight(text, matched, lang) {
+    text = String(text);
+    var parts = [];
+    var last = 0;
+    words(text).forEach(function (found) {
+      if (isStopWord(found.word, lang) || matched.indexOf(stem(found.word, lang)) === -1) {
+        return;
+      }
+      if (found.start > last) {
+        parts.push({ text: text.slice(last, found.start), match: false });
+      }
+      parts.push({ text: found.word, match: true });
+      last = found.end;
+    });
+    if (last < text.length) {
+      parts.push({ text: text.slice(last), match: false });
+    }
+    return parts;
+  }
+
+  // About `length` characters of the text around its first match, cut
+  // between words, with "…" where it was shortened
+  function snippet(text, matched, lang, length) {
+    text = String(text);
+    length = length || SNIPPET_LENGTH;
+    if (text.length <= length) {
+      return highlight(text, matched, lang);
+    }
+    var all = words(text);
+    var first = all.filter(function (found) {
+      return !isStopWord(found.word, lang) && matched.indexOf(stem(found.word, lang)) !== -1;
+    })[0];
+    var start = first ? Math.max(0, first.start - Math.round(length / 3)) : 0;
+    var end = Math.min(text.length, start + length);
+    all.forEach(function (found) {
+      if (found.start < start && found.end > start) {
+        start = found.end;
+      }
+      if (found.start < end && found.end > end) {
+        end = found.start;
+      }
+    });
+    var parts = highlight(text.slice(start, end).trim(), matched, lang);
+    if (start > 0) {
+      parts.unshift({ text: '… ', match: false });
+    }
+    if (end < text.length) {
+      parts.push({ text: ' …', match: false });
+    }
+    return parts;
+  }
+
+  return {
+    fold: fold,
+    stem: stem,
+    terms: terms,
+    buildIndex: buildIndex,
+    search: search,
+    highlight: highlight,
+    snippet: snippet,
+  };
+});
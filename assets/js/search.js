@@ -0,0 +1,224 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Search
+  |--------------------------------------------------------------------------
+  |
+  | Instant results in the header search modal (.cs_modal_search, opened
+  | by mainNav() in main.js). The index of the page language,
+  | assets/search/<lang>.json from the build, is loaded the first time
+  | the modal opens and queried with Sadouni.searchEngine
+  | (search-engine.js, loaded first).
+  |
+  | The input is a combobox over the results list: ↑ and ↓ move through
+  | the results, Enter opens the active one (or the first), Escape closes
+  | the modal and gives the focus back to the search button.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var INDEX_URL = 'assets/search/{lang}.json';
+  var MIN_QUERY = 2;
+  var OPTION_ID = 'cs_search_option_';
+
+  var $modal;
+  var $form;
+  var $input;
+  var $status;
+  var $results;
+  var $toggle;
+  var loading = null;
+  var index = null;
+  var active = -1;
+
+  function t(key, params) {
+    return Sadouni.i18n.t('search.' + key, params);
+  }
+
+  function lang() {
+    return Sadouni.i18n ? Sadouni.i18n.locale : 'fr';
+  }
+
+  /*--------------------------------------------------------------
+    1. Index
+  --------------------------------------------------------------*/
+  function load() {
+    if (!loading) {
+      loading = $.getJSON(INDEX_URL.replace('{lang}', lang())).then(function (data) {
+        index = data;
+        return data;
+      });
+      loading.fail(function () {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  /*--------------------------------------------------------------
+    2. Results
+  --------------------------------------------------------------*/
+  // Parts from highlight() / snippet() with the matching words in <mark>
+  function marked(parts) {
+    return $.map(parts, function (part) {
+      var text = document.createTextNode(part.text);
+      return part.match ? $('<mark>').append(text)[0] : text;
+    });
+  }
+
+  function option(result, position) {
+    var engine = Sadouni.searchEngine;
+    var entry = result.document;
+    var $link = $('<a>', { href: entry.url, tabindex: -1 })
+      .append($('<span>', { class: 'cs_search_result_type cs_fs_14', text: t('types.' + entry.type) }))
+      .append(
+        $('<span>', { class: 'cs_search_result_title cs_fs_18 cs_semibold' }).append(
+          marked(engine.highlight(entry.title, result.terms, index.lang)),
+        ),
+      )
+      .append(
+        $('<span>', { class: 'cs_search_result_snippet cs_fs_14' }).append(
+          marked(engine.snippet(entry.text, result.terms, index.lang)),
+        ),
+      );
+    return $('<li>', { id: OPTION_ID + position, role: 'option', 'aria-selected': 'false' }).append($link);
+  }
+
+  // -1 leaves the input with no active result
+  function select(position) {
+    var $options = $results.children();
+    active = position;
+    $options.attr('aria-selected', 'false').removeClass('active');
+    if (active === -1) {
+      $input.removeAttr('aria-activedescendant');
+      return;
+    }
+    var $active = $options.eq(active).attr('aria-selected', 'true').addClass('active');
+    $input.attr('aria-activedescendant', $active.attr('id'));
+    $active[0].scrollIntoView({ block: 'nearest' });
+  }
+
+  // One result down (1) or up (-1), round the list
+  function move(step) {
+    var count = $results.children().length;
+    if (!count) {
+      return;
+    }
+    if (active === -1) {
+      select(step > 0 ? 0 : count - 1);
+    } else {
+      select((active + step + count) % count);
+    }
+  }
+
+  function render(query) {
+    var results = query.length >= MIN_QUERY ? Sadouni.searchEngine.search(index, query) : [];
+    $results.empty().append($.map(results, option));
+    $input.attr('aria-expanded', results.length ? 'true' : 'false');
+    select(-1);
+    if (query.length < MIN_QUERY) {
+      $status.text('');
+    } else if (!results.length) {
+      $status.text(t('empty', { query: query }));
+    } else {
+      $status.text(results.length === 1 ? t('result') : t('results', { count: results.length }));
+    }
+  }
+
+  function update() {
+    var query = $.trim($input.val());
+    if (index) {
+      render(query);
+      return;
+    }
+    $status.text(t('loading'));
+    load().then(
+      function () {
+        render($.trim($input.val()));
+      },
+      function () {
+        $status.text(t('unavailable'));
+      },
+    );
+  }
+
+  /*--------------------------------------------------------------
+    3. Modal
+  --------------------------------------------------------------*/
+  function isOpen() {
+    return $modal.hasClass('active');
+  }
+
+  function opened() {
+    $toggle.attr('aria-expanded', 'true');
+    load();
+    // Focus once the modal is visible
+    window.setTimeout(function () {
+      $input.trigger('focus');
+    }, 50);
+  }
+
+  function close() {
+    $modal.find('.cs_search_close').trigger('click');
+  }
+
+  function closed() {
+    $toggle.attr('aria-expanded', 'false');
+    $toggle.trigger('focus');
+  }
+
+  function onKeydown(event) {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      move(event.key === 'ArrowDown' ? 1 : -1);
+    }
+  }
+
+  function onSubmit(event) {
+    event.preventDefault();
+    var $link = $results.children().eq(Math.max(active, 0)).find('a');
+    if ($link.length) {
+      window.location.href = $link.prop('href');
+    }
+  }
+
+  function init() {
+    $modal = $('.cs_modal_search');
+    $form = $modal.find('[data-search]');
+    if (!$form.length || !Sadouni.searchEngine) {
+      return;
+    }
+    $input = $form.find('.cs_modal_search_input');
+    $status = $form.find('[data-search-status]');
+    $results = $form.find('.cs_search_results');
+    $toggle = $('.cs_search_toggle_btn');
+
+    $toggle.on('click', function () {
+      if (isOpen()) {
+        opened();
+      } else {
+        $toggle.attr('aria-expanded', 'false');
+      }
+    });
+    $modal.find('.cs_search_close, .cs_search_overlay').on('click', closed);
+    $input.on('input', update).on('keydown', onKeydown);
+    $form.on('submit', onSubmit);
+    $results.on('mousemove', 'li', function () {
+      if ($(this).index() !== active) {
+        select($(this).index());
+      }
+    });
+    $modal.on('keydown', function (event) {
+      if (event.key === 'Escape' && isOpen()) {
+        event.preventDefault();
+        close();
+      }
+    });
+  }
+
+  // After main.js, whose mainNav() opens and closes the modal
+  $(init);
+})(jQuery, window);
@@ -0,0 +1,124 @@
+(function (root, factory) {
+  'use strict';
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    var Sadouni = (root.Sadouni = root.Sadouni || {});
+    Sadouni.config = factory();
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Site Config
+  |--------------------------------------------------------------------------
+  |
+  | The one place for the clinic's contact details and for the messages
+  | patients send us. Pages read it as `Sadouni.config`; build scripts can
+  | `require()` it. `url` is where the site is published, for the
+  | absolute links (hreflang) the build writes.
+  |
+  | `clinic.social` lists the clinic's accounts, each shown as a button in
+  | the footer and on the doctor's page; none are shown while it is empty:
+  |
+  |   { name: 'Instagram', icon: 'fa-brands fa-instagram', url: 'https://…' }
+  |
+  | Templates are kept per language, one array item per line. `{field}`
+  | placeholders are filled from the booking (name, phone, department,
+  | date, time, message, reference); a line whose placeholders all come
+  | out empty is left out of the message.
+  |
+  */
+
+  return {
+    url: 'https://drsadouni.ma',
+
+    clinic: {
+      name: 'Dr. Choaib Sadouni',
+      phone: '+212662101054',
+      phoneDisplay: '+212 662-101054',
+      whatsapp: '212649674367',
+      whatsappDisplay: '+212 649-674367',
+      email: 'contact@drsadouni.ma',
+      address: {
+        street: '5 Angle boulevard Al Qods, Bd Mohammed VI, 1er étage',
+        postalCode: '20000',
+        locality: 'Casablanca',
+        country: 'Maroc',
+        countryCode: 'MA',
+      },
+      social: [],
+    },
+
+    locale: 'fr',
+
+    channels: {
+      available: ['whatsapp', 'sms', 'email'],
+      preferred: 'whatsapp',
+    },
+
+    templates: {
+      fr: {
+        channels: {
+          whatsapp: 'WhatsApp',
+          sms: 'SMS',
+          email: 'E-mail',
+        },
+        booking: {
+          subject: 'Demande de rendez-vous – {name}',
+          body: [
+            'Bonjour, je souhaite prendre un rendez-vous.',
+            'Nom : {name}',
+            'Téléphone : {phone}',
+            'Service : {department}',
+            'Date : {date}',
+            'Heure : {time}',
+            'Message : {message}',
+            'Référence : {reference}',
+          ],
+        },
+      },
+      ar: {
+        channels: {
+          whatsapp: 'واتساب',
+          sms: 'رسالة نصية',
+          email: 'البريد الإلكتروني',
+        },
+        booking: {
+          subject: 'طلب موعد – {name}',
+          body: [
+            'مرحبا، أود حجز موعد.',
+            'الاسم: {name}',
+            'الهاتف: {phone}',
+            'التخصص: {department}',
+            'التاريخ: {date}',
+            'الساعة: {time}',
+            'الرسالة: {message}',
+            'المرجع: {reference}',
+          ],
+        },
+      },
+      en: {
+        channels: {
+          whatsapp: 'WhatsApp',
+          sms: 'SMS',
+          email: 'Email',
+        },
+        booking: {
+          subject: 'Appointment request – {name}',
+          body: [
+            'Hello, I would like to book an appointment.',
+            'Name: {name}',
+            'Phone: {phone}',
+            'Service: {department}',
+            'Date: {date}',
+            'Time: {time}',
+            'Message: {message}',
+            'Reference: {reference}',
+          ],
+        },
+      },
+    },
+  };
+});
@@ -0,0 +1,271 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Slider
+  |--------------------------------------------------------------------------
+  |
+  | The theme's carousels (.cs_slider) on top of Slick, started by main.js
+  | as `Sadouni.slider.init($('.cs_slider'))`. Markup:
+  |
+  |   .cs_slider [data-label]                the carousel, named by
+  |                                          data-label for screen readers
+  |     .cs_slider_container [data-…]        the options below
+  |       .cs_slider_wrapper > .cs_slide     the slides
+  |     .cs_slider_arrows                    optional, holds the
+  |       button.cs_left_arrow               previous / next buttons
+  |       button.cs_right_arrow              (and the play / pause one)
+  |     .cs_pagination                       optional, for the dots
+  |
+  | Options, from the data attributes of .cs_slider_container:
+  |
+  |   data-autoplay            0 (off), 1 (every DEFAULT_INTERVAL ms) or
+  |                            the time between slides in ms
+  |   data-speed               length of the slide animation in ms
+  |   data-loop, data-center, data-variable-width, data-fade-slide
+  |                            0 or 1
+  |   data-slides-per-view     a number, or "responsive" for
+  |   data-add-slides          slides above 1600px
+  |   data-lg-slides           …below 1600px
+  |   data-md-slides           …below 1200px
+  |   data-sm-slides           …below 992px
+  |   data-xs-slides           …below 768px
+  |
+  | A value that doesn't fit is replaced by its default; a missing
+  | breakpoint keeps the number of the wider one.
+  |
+  | For WCAG 2.2 the carousel is a labelled region of labelled slides.
+  | ← and → move between slides from anywhere inside it, autoplay stops
+  | while it is hovered or focused, and a play / pause button stops it
+  | for good. Autoplay never starts on its own when the visitor asked for
+  | reduced motion. The current slide is announced ("Diapositive 2 sur
+  | 3") when it changes, unless the carousel is rotating by itself.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var DEFAULT_INTERVAL = 3000;
+  var CENTER_PADDING = '28%';
+  var REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+  // Breakpoints from the widest: the attribute and the width below which
+  // it applies
+  var BREAKPOINTS = [
+    { option: 'lgSlides', width: 1600 },
+    { option: 'mdSlides', width: 1200 },
+    { option: 'smSlides', width: 992 },
+    { option: 'xsSlides', width: 768 },
+  ];
+
+  var OPTIONS = {
+    autoplay: { type: 'integer', min: 0, fallback: 0 },
+    speed: { type: 'integer', min: 0, fallback: 600 },
+    loop: { type: 'flag', fallback: false },
+    center: { type: 'flag', fallback: false },
+    variableWidth: { type: 'flag', fallback: false },
+    fadeSlide: { type: 'flag', fallback: false },
+    slidesPerView: { type: 'slides', fallback: 1 },
+    addSlides: { type: 'integer', min: 1, fallback: 1 },
+    lgSlides: { type: 'integer', min: 1, fallback: null },
+    mdSlides: { type: 'integer', min: 1, fallback: null },
+    smSlides: { type: 'integer', min: 1, fallback: null },
+    xsSlides: { type: 'integer', min: 1, fallback: null },
+  };
+
+  function t(key, params) {
+    return Sadouni.i18n ? Sadouni.i18n.t('slider.' + key, params) : key;
+  }
+
+  function isRtl() {
+    return $('html').attr('dir') === 'rtl';
+  }
+
+  function prefersReducedMotion() {
+    return !!window.matchMedia && window.matchMedia(REDUCED_MOTION).matches;
+  }
+
+  /*--------------------------------------------------------------
+    1. Options
+  --------------------------------------------------------------*/
+  // "lgSlides" -> "data-lg-slides"
+  function attribute(name) {
+    return (
+      'data-' +
+      name.replace(/[A-Z]/g, function (letter) {
+        return '-' + letter.toLowerCase();
+      })
+    );
+  }
+
+  // The value of `text` for the option, or undefined when it doesn't fit
+  var PARSERS = {
+    integer: function (text, rule) {
+      var value = /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+      return value >= rule.min ? value : undefined;
+    },
+    flag: function (text) {
+      return { 0: false, 1: true, false: false, true: true }[text];
+    },
+    slides: function (text) {
+      return text === 'responsive' ? text : PARSERS.integer(text, { min: 1 });
+    },
+  };
+
+  // Every option of the container, checked against OPTIONS
+  function options($container) {
+    var result = {};
+    $.each(OPTIONS, function (name, rule) {
+      var text = $container.attr(attribute(name));
+      var value = text === undefined ? undefined : PARSERS[rule.type]($.trim(text), rule);
+      result[name] = value === undefined ? rule.fallback : value;
+    });
+    return result;
+  }
+
+  // Slick's settings for the options
+  function settings(found) {
+    var responsive = found.slidesPerView === 'responsive';
+    var slidesToShow = responsive ? found.addSlides : found.slidesPerView;
+    var breakpoints = [];
+    if (responsive) {
+      BREAKPOINTS.reduce(function (wider, point) {
+        var slides = found[point.option] || wider;
+        breakpoints.push({ breakpoint: point.width, settings: { slidesToShow: slides } });
+        return slides;
+      }, slidesToShow);
+    }
+    return {
+      autoplay: found.autoplay > 0,
+      autoplaySpeed: found.autoplay > 1 ? found.autoplay : DEFAULT_INTERVAL,
+      speed: found.speed,
+      infinite: found.loop,
+      centerMode: found.center,
+      centerPadding: CENTER_PADDING,
+      variableWidth: found.variableWidth,
+      fade: found.fadeSlide,
+      slidesToShow: slidesToShow,
+      responsive: breakpoints,
+    };
+  }
+
+  /*--------------------------------------------------------------
+    2. Accessibility
+  --------------------------------------------------------------*/
+  // Slick rewrites the slides' attributes after each change
+  function labelSlides($wrapper) {
+    var $slides = $wrapper.find('.slick-slide').not('.slick-cloned');
+    $slides.each(function (index) {
+      $(this).attr({
+        role: 'group',
+        'aria-roledescription': t('slide'),
+        'aria-label': t('position', { number: index + 1, count: $slides.length }),
+      });
+    });
+  }
+
+  function playButton($slider, $live, startPaused) {
+    var $button = $('<button>', { type: 'button', class: 'cs_slider_play cs_center cs_radius_6' }).append(
+      $('<i>', { 'aria-hidden': 'true' }),
+    );
+    var $wrapper = $slider.find('.cs_slider_wrapper');
+    var $arrows = $slider.find('.cs_slider_arrows');
+
+    function show(playing) {
+      $button.attr('aria-label', t(playing ? 'pause' : 'play'));
+      $button.find('i').attr('class', 'fa-solid ' + (playing ? 'fa-pause' : 'fa-play'));
+      // Announcing every slide of a rotating carousel would never stop
+      $live.attr('aria-live', playing ? 'off' : 'polite');
+    }
+
+    $button.on('click', function () {
+      var playing = $button.find('i').hasClass('fa-pause');
+      $wrapper.slick(playing ? 'slickPause' : 'slickPlay');
+      show(!playing);
+    });
+    if (startPaused) {
+      $wrapper.slick('slickPause');
+    }
+    show(!startPaused);
+    if (!$arrows.length) {
+      $arrows = $('<div>', { class: 'cs_slider_arrows cs_style_1' }).insertAfter($slider.find('.cs_slider_container'));
+    }
+    $arrows.prepend($button);
+  }
+
+  /*--------------------------------------------------------------
+    3. Carousels
+  --------------------------------------------------------------*/
+  function create($slider) {
+    var $container = $slider.find('.cs_slider_container');
+    var $wrapper = $slider.find('.cs_slider_wrapper');
+    var $pagination = $slider.find('.cs_pagination');
+    var rtl = isRtl();
+    // Right To Left: slides move the other way, so the arrows swap roles
+    var $prev = $slider.find(rtl ? '.cs_right_arrow' : '.cs_left_arrow');
+    var $next = $slider.find(rtl ? '.cs_left_arrow' : '.cs_right_arrow');
+    var $live = $('<div>', { class: 'visually-hidden', 'aria-live': 'polite', 'aria-atomic': 'true' });
+    var found = options($container);
+    var reducedMotion = prefersReducedMotion();
+
+    $slider.attr({
+      role: 'region',
+      'aria-roledescription': t('carousel'),
+      'aria-label': $slider.attr('data-label') || t('carousel'),
+    });
+    $prev.attr('aria-label', t('previous'));
+    $next.attr('aria-label', t('next'));
+    $slider.append($live);
+
+    $wrapper.on('init', function () {
+      labelSlides($wrapper);
+    });
+    $wrapper.on('afterChange', function (event, slick, current) {
+      labelSlides($wrapper);
+      $live.text(t('status', { number: current + 1, count: slick.slideCount }));
+    });
+
+    $wrapper.slick(
+      $.extend(settings(found), {
+        dots: $pagination.length > 0,
+        appendDots: $pagination,
+        rtl: rtl,
+        prevArrow: $prev,
+        nextArrow: $next,
+        swipeToSlide: true,
+        pauseOnHover: true,
+        pauseOnFocus: true,
+        speed: reducedMotion ? 0 : found.speed,
+      }),
+    );
+
+    if (found.autoplay > 0) {
+      playButton($slider, $live, reducedMotion);
+    }
+
+    // ← and → from a link or button inside the slides too, not only
+    // from Slick's list
+    $slider.on('keydown', function (event) {
+      var key = { ArrowLeft: rtl ? 'slickNext' : 'slickPrev', ArrowRight: rtl ? 'slickPrev' : 'slickNext' }[event.key];
+      if (!key || $(event.target).closest('.slick-list').length || $(event.target).is('input, textarea, select')) {
+        return;
+      }
+      event.preventDefault();
+      $wrapper.slick(key);
+    });
+  }
+
+  function init($sliders) {
+    $sliders.each(function () {
+      create($(this));
+    });
+  }
+
+  Sadouni.slider = {
+    OPTIONS: OPTIONS,
+    options: options,
+    settings: settings,
+    init: init,
+  };
+})(jQuery, window);
@@ -0,0 +1,104 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Time Slots
+  |--------------------------------------------------------------------------
+  |
+  | Fills `[data-slot-picker]` selects with the free consultation slots of
+  | the date and department picked in the same form. Slots start every
+  | `slotMinutes` of the opening hours, last as long as the department's
+  | consultation (`consultMinutes` in the specialties catalog, falling back
+  | to the default of assets/data/schedule.json) and are left out when
+  | they overlap an appointment that is already booked.
+  |
+  | Needs availability.js: its schedule computes the slots, the same way
+  | it counts the capacity of a day for the datepicker.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  $(function () {
+    slotPicker();
+  });
+
+  /*--------------------------------------------------------------
+    1. Slot Computation
+  --------------------------------------------------------------*/
+  // Free start times ("HH:MM") on `date` for a consultation in `department`,
+  // given the appointments already booked that day; computed by the
+  // schedule, which also counts the calendar's capacity with it.
+  function freeSlots(schedule, date, department, bookings, now) {
+    return schedule.freeSlots(date, department, bookings, now);
+  }
+
+  /*--------------------------------------------------------------
+    2. Slot Picker
+  --------------------------------------------------------------*/
+  function renderSlots($select, slots, placeholder) {
+    var selected = $select.val();
+    $select.empty().append($('<option value=""></option>').text(placeholder));
+    $.each(slots, function (_, slot) {
+      $select.append($('<option></option>').val(slot).text(Sadouni.locale.formatTime(slot)));
+    });
+    $select
+      .val($.inArray(selected, slots) > -1 ? selected : '')
+      .trigger('change.select2');
+  }
+
+  function refreshSlots($form, $select) {
+    var $date = $form.find('.hasDatepicker');
+    var date = $date.datepicker('getDate');
+    var department = $form.find('[name="department"]').val();
+    var adapter = $form.data('booking-adapter-instance');
+
+    if (!date) {
+      renderSlots($select, [], Sadouni.i18n.t('slots.pickDate'));
+      return Promise.resolve([]);
+    }
+    var iso = Sadouni.availability.isoDate(date);
+    // A booking being rescheduled does not block its own slot
+    var excluded = $form.data('exclude-reference');
+    var bookings = adapter
+      ? adapter.list({ date: iso, status: 'confirmed' }).then(function (records) {
+          return records.filter(function (record) {
+            return record.reference !== excluded;
+          });
+        })
+      : Promise.resolve([]);
+
+    return Promise.all([Sadouni.availability.load(), bookings]).then(
+      function (results) {
+        var slots = freeSlots(results[0], date, department, results[1]);
+        renderSlots(
+          $select,
+          slots,
+          Sadouni.i18n.t(slots.length ? 'slots.pick' : 'slots.none'),
+        );
+        return slots;
+      },
+    );
+  }
+
+  function slotPicker() {
+    $('[data-slot-picker]').each(function () {
+      var $select = $(this);
+      var $form = $select.closest('form');
+      var refresh = function () {
+        refreshSlots($form, $select).catch(function () {
+          renderSlots($select, [], Sadouni.i18n.t('slots.unavailable'));
+        });
+      };
+      $form.on('change', '.hasDatepicker, [name="department"]', refresh);
+      $form.on('booking:confirmed', refresh);
+      refresh();
+    });
+  }
+
+  Sadouni.slots = {
+    freeSlots: freeSlots,
+    refresh: refreshSlots,
+  };
+})(jQuery, window);
@@ -0,0 +1,146 @@
+(function (root, factory) {
+  'use strict';
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    var Sadouni = (root.Sadouni = root.Sadouni || {});
+    Sadouni.specialtiesCatalog = factory();
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Specialties Catalog
+  |--------------------------------------------------------------------------
+  |
+  | Every specialty of the practice, in display order. The department
+  | select, the "Nos Spécialités" submenu, the specialty cards and the
+  | footer are all rendered from this list by specialties.js; `id` is the
+  | value stored with a booking.
+  |
+  |   id              booking value, also the card anchor on services.html
+  |   label           display name
+  |   description     one line for the specialty card
+  |   page            dedicated page (built from src/content/specialties/),
+  |                   or null to link to the services card
+  |   consultMinutes  length of a consultation (slot picker, calendar)
+  |   icon            card illustration, or null to keep it off the grid
+  |   menu            listed in the header submenu and the footer
+  |   bookable        offered in the department select
+  |
+  */
+
+  return [
+    {
+      id: 'general',
+      label: 'Consultation ophtalmologique',
+      description: 'Bilan complet de la vue, fond d’œil et renouvellement de vos corrections.',
+      page: 'consultation.html',
+      consultMinutes: 20,
+      icon: null,
+      menu: true,
+      bookable: true,
+    },
+    {
+      id: 'cataract',
+      label: 'Chirurgie de la cataracte',
+      description: 'Une intervention rapide pour remplacer le cristallin et restaurer la vision claire.',
+      page: 'cataracte.html',
+      consultMinutes: 40,
+      icon: 'assets/img/glaucome.jpg',
+      menu: true,
+      bookable: true,
+    },
+    {
+      id: 'glaucoma',
+      label: 'Traitement du glaucome',
+      description: 'Techniques pour réduire la pression oculaire et protéger le nerf optique.',
+      page: 'glaucome.html',
+      consultMinutes: 30,
+      icon: 'assets/img/cataracte.jpg',
+      menu: true,
+      bookable: true,
+    },
+    {
+      id: 'retina',
+      label: 'Rétine et DMLA',
+      description: 'Dépistage et suivi des maladies de la rétine et de la dégénérescence maculaire.',
+      page: 'retine.html',
+      consultMinutes: 30,
+      icon: null,
+      menu: true,
+      bookable: true,
+    },
+    {
+      id: 'cornea',
+      label: 'Cornée et transplantation',
+      description: 'Prise en charge du kératocône, des infections et des greffes de cornée.',
+      page: 'cornee.html',
+      consultMinutes: 30,
+      icon: null,
+      menu: false,
+      bookable: true,
+    },
+    {
+      id: 'pediatric',
+      label: 'Ophtalmologie pédiatrique',
+      description: 'Dépistage des troubles visuels et du strabisme chez l’enfant.',
+      page: 'pediatrie.html',
+      consultMinutes: 30,
+      icon: null,
+      menu: false,
+      bookable: true,
+    },
+    {
+      id: 'dry-eye',
+      label: 'Traitement de la sécheresse oculaire',
+      description: 'Solutions pour hydrater les yeux et soulager l’inconfort quotidien.',
+      page: null,
+      consultMinutes: 20,
+      icon: 'assets/img/dry-eye.jpg',
+      menu: false,
+      bookable: true,
+    },
+    {
+      id: 'laser',
+      label: 'Correction laser (LASIK/PRK)',
+      description: 'Correction laser de la vue pour réduire le port de lunettes ou lentilles.',
+      page: 'correction-laser.html',
+      consultMinutes: 40,
+      icon: 'assets/img/lasik.jpeg',
+      menu: false,
+      bookable: true,
+    },
+    {
+      id: 'contact-lenses',
+      label: 'Lentilles de contact',
+      description: 'Lentilles adaptées pour corriger la vision avec confort et sécurité.',
+      page: null,
+      consultMinutes: 20,
+      icon: 'assets/img/contact-lens.jpg',
+      menu: false,
+      bookable: true,
+    },
+    {
+      id: 'myopia',
+      label: 'Myopie',
+      description: 'Prise en charge de la myopie par lunettes, lentilles ou chirurgie.',
+      page: null,
+      consultMinutes: 20,
+      icon: 'assets/img/myopia.jpg',
+      menu: false,
+      bookable: true,
+    },
+    {
+      id: 'other',
+      label: 'Autres',
+      description: '',
+      page: null,
+      consultMinutes: 20,
+      icon: null,
+      menu: false,
+      bookable: true,
+    },
+  ];
+});
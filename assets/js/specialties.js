@@ -0,0 +1,148 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Specialties
+  |--------------------------------------------------------------------------
+  |
+  | Renders every list of specialties from the shared catalog
+  | (assets/js/specialties-catalog.js, loaded first) so the department
+  | select, the header submenu, the cards and the footer never drift apart.
+  | Labels and links follow the page language (i18n.js).
+  |
+  | Markup hooks:
+  |   select[data-specialties="options"]  bookable specialties; an empty
+  |                                       placeholder option is kept
+  |   ul[data-specialties="menu"]         specialties flagged `menu`
+  |   [data-specialties="cards"]          `.property-card` grid, only the
+  |                                       illustrated ones when
+  |                                       `data-specialties-only="icon"`;
+  |                                       `data-specialties-card-class`
+  |                                       adds classes to every card
+  |
+  | Load before main.js: the lists are rendered as soon as this file runs,
+  | so select2, WOW and the mobile menu pick up the final markup.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var ANCHOR_PREFIX = 'specialite-';
+
+  /*--------------------------------------------------------------
+    1. Catalog
+  --------------------------------------------------------------*/
+  // Catalog entries with their label and description in the page language
+  function all() {
+    return $.map(Sadouni.specialtiesCatalog || [], function (specialty) {
+      return Sadouni.i18n ? Sadouni.i18n.specialty(specialty) : specialty;
+    });
+  }
+
+  function find(id) {
+    return (
+      $.grep(all(), function (specialty) {
+        return specialty.id === id;
+      })[0] || null
+    );
+  }
+
+  // Booking values are catalog ids; anything else is shown as typed
+  function label(id) {
+    var specialty = find(id);
+    return specialty ? specialty.label : id;
+  }
+
+  // The page in the current language when it is translated
+  function pageUrl(specialty) {
+    var url = specialty.page || 'services.html#' + ANCHOR_PREFIX + specialty.id;
+    return Sadouni.i18n ? Sadouni.i18n.url(url) : url;
+  }
+
+  function consultMinutes(id) {
+    var specialty = find(id);
+    return specialty ? specialty.consultMinutes : null;
+  }
+
+  /*--------------------------------------------------------------
+    2. Renderers
+  --------------------------------------------------------------*/
+  function renderOptions($select) {
+    $select.find('option').filter(function () {
+      return this.value !== '';
+    }).remove();
+    $.each(all(), function (_, specialty) {
+      if (specialty.bookable) {
+        $select.append($('<option></option>').val(specialty.id).text(specialty.label));
+      }
+    });
+  }
+
+  function renderMenu($list) {
+    $list.empty();
+    $.each(all(), function (_, specialty) {
+      if (specialty.menu) {
+        $list.append(
+          $('<li></li>').append($('<a></a>').attr('href', pageUrl(specialty)).text(specialty.label)),
+        );
+      }
+    });
+  }
+
+  function card(specialty, extraClass) {
+    var $link = $('<a></a>').attr('href', pageUrl(specialty));
+    if (specialty.icon) {
+      $link.append(
+        $('<div class="property-image"></div>').css('background-image', 'url("' + specialty.icon + '")'),
+      );
+    }
+    $link.append(
+      $('<div class="property-description"></div>').append(
+        $('<h5></h5>').text(specialty.label),
+        $('<p></p>').text(specialty.description),
+      ),
+    );
+    return $('<div class="property-card"></div>')
+      .addClass(extraClass || '')
+      .attr('id', ANCHOR_PREFIX + specialty.id)
+      .append($link);
+  }
+
+  function renderCards($grid) {
+    var illustratedOnly = $grid.data('specialties-only') === 'icon';
+    var extraClass = $grid.data('specialties-card-class');
+    $grid.empty();
+    $.each(all(), function (_, specialty) {
+      if (specialty.description && (specialty.icon || !illustratedOnly)) {
+        $grid.append(card(specialty, extraClass));
+      }
+    });
+  }
+
+  var renderers = {
+    options: renderOptions,
+    menu: renderMenu,
+    cards: renderCards,
+  };
+
+  function renderAll(context) {
+    $('[data-specialties]', context).each(function () {
+      var render = renderers[$(this).data('specialties')];
+      if (render) {
+        render($(this));
+      }
+    });
+  }
+
+  renderAll(window.document);
+
+  Sadouni.specialties = {
+    all: all,
+    find: find,
+    label: label,
+    pageUrl: pageUrl,
+    consultMinutes: consultMinutes,
+    render: renderAll,
+  };
+})(jQuery, window);
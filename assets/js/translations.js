@@ -0,0 +1,800 @@
+(function (root, factory) {
+  'use strict';
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    var Sadouni = (root.Sadouni = root.Sadouni || {});
+    Sadouni.translations = factory();
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Translations
+  |--------------------------------------------------------------------------
+  |
+  | The languages of the site and every string that is not page content.
+  | The build (tools/build.js) reads it for the header, footer and layouts;
+  | pages read it as `Sadouni.translations` through i18n.js.
+  |
+  |   name, label   language name, and the short label of the switcher
+  |   dir           "ltr" or "rtl"
+  |   intl          the Intl locale dates and numbers are formatted
+  |                 with (assets/js/locale.js)
+  |   pages         pages translated into the language, built to
+  |                 <code>/<page> from src/pages/<code>/ and
+  |                 src/content/<collection>/<code>/; other links fall
+  |                 back to the French page. French, the default
+  |                 language, has every page at the root of the site.
+  |   layouts       default front matter of each layout
+  |   messages      header, footer and script strings, `{name}`
+  |                 placeholders filled by Sadouni.i18n.t()
+  |   specialties   label and description of each catalog entry, by id
+  |
+  | A message missing from a language is taken from French.
+  |
+  */
+
+  return {
+    fr: {
+      name: 'Français',
+      label: 'FR',
+      dir: 'ltr',
+      intl: 'fr-FR',
+      pages: null,
+      layouts: {
+        default: {
+          title: 'Dr. Choaib Sadouni - Ophtalmologiste à Casablanca',
+          description:
+            'Découvrez les techniques de chirurgie de la cataracte avec le Dr Choaib Sadouni à Casablanca. Intervention courte, indolore et efficace pour améliorer votre vision.',
+          keywords: 'chirurgie cataracte, ophtalmologue Casablanca, lentille intraoculaire, vision, Dr Choaib Sadouni',
+        },
+        specialty: {
+          heroAlt: 'Image',
+          checklistTitle: 'Votre prise en charge',
+          faqSubtitle: 'Questions Fréquentes',
+          faqTitle: 'Vos Questions sur cette Spécialité',
+          relatedSubtitle: 'Blog',
+          relatedTitle: 'Articles Liés',
+        },
+        post: {
+          headingTitle: 'Blog',
+          minutesLabel: 'min de lecture',
+          previousLabel: 'Article précédent',
+          nextLabel: 'Article suivant',
+        },
+        archive: {
+          categories: 'Catégorie : {name}',
+          tags: 'Mot-clé : {name}',
+          months: 'Archives : {name}',
+          description: 'Les articles du blog du Dr Choaib Sadouni – {name}.',
+        },
+      },
+      messages: {
+        nav: {
+          home: 'Accueil',
+          doctor: 'Dr. Choaib Sadouni',
+          clinic: 'Notre Cabinet',
+          specialties: 'Nos Spécialités',
+          blog: 'Blog',
+          contact: 'Contact',
+          language: 'Langue',
+        },
+        footer: {
+          newsletterTitle: 'Pour la Newsletter Abonnez-vous à Notre Page',
+          newsletterPlaceholder: 'Entrez votre Email',
+          newsletterButton: "S'Abonner Maintenant",
+          tagline: 'Cabinet d’ophtalmologie du Dr Sadouni – Soins et suivi de la vision.',
+          links: 'Liens',
+          home: 'Accueil',
+          about: 'À Propos',
+          contact: 'Contact',
+          specialties: 'Spécialités',
+          resources: 'Ressources',
+          manage: 'Gérer mon Rendez-vous',
+          clinic: 'Cabinet',
+          rights: 'Tous droits réservés.',
+        },
+        common: {
+          readMore: 'En Savoir Plus',
+        },
+        blog: {
+          recent: 'Articles Récents',
+          categories: 'Catégories',
+          archives: 'Archives',
+          tags: 'Mots-clés',
+        },
+        feeds: {
+          title: 'Blog du Dr. Choaib Sadouni',
+          description: 'Les articles santé des yeux du Dr. Choaib Sadouni, ophtalmologiste à Casablanca.',
+          category: '{name} – Blog du Dr. Choaib Sadouni',
+          categoryDescription: 'Les articles « {name} » du blog du Dr. Choaib Sadouni.',
+        },
+        slider: {
+          carousel: 'Carrousel',
+          slide: 'Diapositive',
+          position: '{number} sur {count}',
+          status: 'Diapositive {number} sur {count}',
+          previous: 'Diapositive précédente',
+          next: 'Diapositive suivante',
+          pause: 'Mettre le défilement en pause',
+          play: 'Lancer le défilement',
+        },
+        pagination: {
+          label: 'Pages du blog',
+          previous: 'Page précédente',
+          next: 'Page suivante',
+          page: 'Page {number}',
+          loadMore: 'Charger plus',
+          loading: 'Chargement…',
+          loaded: '{count} articles de plus affichés.',
+        },
+        video: {
+          open: 'Lire la vidéo',
+          title: 'Vidéo',
+          close: 'Fermer la vidéo',
+          consent:
+            'Cette vidéo est hébergée par {provider}. La lancer charge le lecteur de {provider}, qui peut déposer des cookies et recevoir votre adresse IP.',
+          play: 'Lancer la vidéo',
+          remember: 'Toujours autoriser les vidéos {provider}',
+          external: 'Regarder sur {provider}',
+          invalid: 'Cette vidéo ne peut pas être lue ici.',
+          unsupported: 'Votre navigateur ne peut pas lire cette vidéo.',
+          chapters: 'Chapitres',
+          speed: 'Vitesse',
+          rate: '{rate}×',
+          resumed: 'Reprise là où vous vous étiez arrêté ({time}).',
+          restart: 'Revoir depuis le début',
+        },
+        faq: {
+          filter: 'Rechercher dans les questions',
+          placeholder: 'Rendez-vous, horaires, urgence…',
+          expand: 'Tout déplier',
+          collapse: 'Tout replier',
+          empty: 'Aucune question ne correspond à « {query} ».',
+          match: '1 question correspond.',
+          matches: '{count} questions correspondent.',
+        },
+        search: {
+          open: 'Rechercher',
+          title: 'Recherche',
+          label: 'Rechercher sur le site',
+          placeholder: 'Cataracte, cornée, rendez-vous…',
+          close: 'Fermer la recherche',
+          hint: 'Utilisez ↑ ↓ pour parcourir les résultats et Entrée pour ouvrir.',
+          loading: 'Chargement…',
+          unavailable: 'La recherche est indisponible pour le moment.',
+          empty: 'Aucun résultat pour « {query} ».',
+          result: '1 résultat',
+          results: '{count} résultats',
+          types: {
+            specialty: 'Spécialité',
+            article: 'Article',
+            faq: 'Question fréquente',
+          },
+        },
+        validation: {
+          required: 'Ce champ est obligatoire.',
+          phone: 'Entrez un numéro marocain valide (ex. +212 6 12 34 56 78).',
+          email: 'Entrez une adresse e-mail valide.',
+          date: "Choisissez une date à partir d'aujourd'hui.",
+          minlength: 'Saisissez au moins {0} caractères.',
+          maxlength: 'Ne dépassez pas {0} caractères.',
+          available: "Le cabinet n'a plus de disponibilité ce jour-là.",
+        },
+        booking: {
+          saved: 'Votre demande de rendez-vous est enregistrée. Référence : ',
+          notify: 'Nous prévenir aussi par',
+          manage: 'Modifier ou annuler ce rendez-vous',
+          failed: "Votre demande n'a pas pu être enregistrée. Merci de réessayer ou de nous appeler.",
+          send: 'Envoyer la demande par',
+        },
+        wizard: {
+          edit: 'Modifier',
+          editField: 'Modifier : {label}',
+        },
+        availability: {
+          full: 'Complet',
+          almostFull: 'Presque complet',
+        },
+        slots: {
+          pickDate: "Choisissez d'abord une date",
+          pick: 'Choisissez un créneau',
+          none: 'Aucun créneau libre ce jour-là',
+          unavailable: 'Créneaux indisponibles, appelez-nous',
+        },
+        drafts: {
+          region: 'Demande non terminée',
+          restore: 'Restaurer',
+          discard: 'Ignorer',
+          prompt: 'Voulez-vous reprendre votre demande du {date} ?',
+          savedAt: '{date} à {time}',
+        },
+        datepicker: {
+          placeholder: 'JJ/MM/AAAA',
+          prev: 'Précédent',
+          next: 'Suivant',
+          close: 'Fermer',
+          today: "Aujourd'hui",
+          week: 'Sem.',
+        },
+        calendar: {
+          title: 'Ajouter à mon agenda :',
+          ics: 'Fichier .ics',
+          google: 'Google Agenda',
+          outlook: 'Outlook',
+          event: 'Rendez-vous ophtalmologie – {name}',
+          reference: 'Référence : {reference}',
+          specialty: 'Spécialité : {specialty}',
+          preparation: 'Préparation : {preparation}',
+          change: 'Pour modifier ou annuler : {phone}',
+        },
+        manage: {
+          reference: 'Référence',
+          patient: 'Patient',
+          specialty: 'Spécialité',
+          date: 'Date',
+          time: 'Heure',
+          status: 'Statut',
+          statuses: {
+            confirmed: 'Confirmé',
+            cancelled: 'Annulé',
+          },
+          notFound: 'Aucun rendez-vous ne correspond à cette référence et à ce numéro.',
+          lookupFailed: 'Recherche impossible pour le moment, merci de nous appeler.',
+          confirmCancel: 'Voulez-vous vraiment annuler ce rendez-vous ?',
+          cancelDone: 'Votre rendez-vous a été annulé.',
+          cancelFailed: "L'annulation n'a pas pu être enregistrée, merci de nous appeler.",
+          rescheduleDone: 'Votre rendez-vous est reporté au {date} à {time}.',
+          rescheduleFailed: "Le report n'a pas pu être enregistré, merci de nous appeler.",
+        },
+      },
+      specialties: {},
+    },
+
+    ar: {
+      name: 'العربية',
+      label: 'عربي',
+      dir: 'rtl',
+      intl: 'ar-MA',
+      pages: [
+        'index.html',
+        'contact.html',
+        'doctor-details.html',
+        'gerer-rendez-vous.html',
+        'consultation.html',
+        'cataracte.html',
+        'glaucome.html',
+        'retine.html',
+        'cornee.html',
+        'pediatrie.html',
+        'correction-laser.html',
+      ],
+      layouts: {
+        default: {
+          title: 'الدكتور شعيب السعدوني - طبيب العيون بالدار البيضاء',
+          description:
+            'عيادة طب العيون للدكتور شعيب السعدوني بالدار البيضاء: جراحة الساد (الماء الأبيض)، الجلوكوما، الشبكية وتصحيح النظر بالليزر.',
+          keywords: 'طبيب عيون الدار البيضاء، جراحة الساد، الماء الأبيض، الجلوكوما، الدكتور شعيب السعدوني',
+        },
+        specialty: {
+          heroAlt: 'صورة',
+          checklistTitle: 'مراحل التكفل بكم',
+          faqSubtitle: 'أسئلة شائعة',
+          faqTitle: 'أسئلتكم حول هذا التخصص',
+          relatedSubtitle: 'المدونة',
+          relatedTitle: 'مقالات ذات صلة',
+        },
+        post: {
+          headingTitle: 'المدونة',
+          minutesLabel: 'دقائق للقراءة',
+          previousLabel: 'المقال السابق',
+          nextLabel: 'المقال التالي',
+        },
+        archive: {
+          categories: 'التصنيف: {name}',
+          tags: 'الوسم: {name}',
+          months: 'أرشيف: {name}',
+          description: 'مقالات مدونة الدكتور شعيب السعدوني – {name}.',
+        },
+      },
+      messages: {
+        nav: {
+          home: 'الرئيسية',
+          doctor: 'الدكتور شعيب السعدوني',
+          clinic: 'عيادتنا',
+          specialties: 'تخصصاتنا',
+          blog: 'المدونة',
+          contact: 'اتصل بنا',
+          language: 'اللغة',
+        },
+        footer: {
+          newsletterTitle: 'اشتركوا في نشرتنا الإخبارية',
+          newsletterPlaceholder: 'أدخلوا بريدكم الإلكتروني',
+          newsletterButton: 'اشترك الآن',
+          tagline: 'عيادة طب العيون للدكتور السعدوني – علاج ومتابعة البصر.',
+          links: 'روابط',
+          home: 'الرئيسية',
+          about: 'من نحن',
+          contact: 'اتصل بنا',
+          specialties: 'التخصصات',
+          resources: 'خدمات',
+          manage: 'إدارة موعدي',
+          clinic: 'العيادة',
+          rights: 'جميع الحقوق محفوظة.',
+        },
+        common: {
+          readMore: 'اقرأ المزيد',
+        },
+        blog: {
+          recent: 'أحدث المقالات',
+          categories: 'التصنيفات',
+          archives: 'الأرشيف',
+          tags: 'الوسوم',
+        },
+        feeds: {
+          title: 'مدونة الدكتور شعيب السعدوني',
+          description: 'مقالات حول صحة العيون للدكتور شعيب السعدوني، طبيب العيون في الدار البيضاء.',
+          category: '{name} – مدونة الدكتور شعيب السعدوني',
+          categoryDescription: 'مقالات «{name}» في مدونة الدكتور شعيب السعدوني.',
+        },
+        slider: {
+          carousel: 'عرض شرائح',
+          slide: 'شريحة',
+          position: '{number} من {count}',
+          status: 'الشريحة {number} من {count}',
+          previous: 'الشريحة السابقة',
+          next: 'الشريحة التالية',
+          pause: 'إيقاف التمرير مؤقتًا',
+          play: 'تشغيل التمرير',
+        },
+        pagination: {
+          label: 'صفحات المدونة',
+          previous: 'الصفحة السابقة',
+          next: 'الصفحة التالية',
+          page: 'الصفحة {number}',
+          loadMore: 'عرض المزيد',
+          loading: 'جار التحميل…',
+          loaded: 'تم عرض {count} مقالات إضافية.',
+        },
+        video: {
+          open: 'تشغيل الفيديو',
+          title: 'فيديو',
+          close: 'إغلاق الفيديو',
+          consent:
+            'هذا الفيديو مستضاف على {provider}. تشغيله يحمّل مشغل {provider} الذي قد يضع ملفات تعريف الارتباط ويتلقى عنوان IP الخاص بك.',
+          play: 'تشغيل الفيديو',
+          remember: 'السماح دائمًا بفيديوهات {provider}',
+          external: 'المشاهدة على {provider}',
+          invalid: 'لا يمكن تشغيل هذا الفيديو هنا.',
+          unsupported: 'متصفحك لا يستطيع تشغيل هذا الفيديو.',
+          chapters: 'الفصول',
+          speed: 'السرعة',
+          rate: '{rate}×',
+          resumed: 'استئناف من حيث توقفت ({time}).',
+          restart: 'المشاهدة من البداية',
+        },
+        faq: {
+          filter: 'ابحثوا في الأسئلة',
+          placeholder: 'موعد، أوقات، حالة طارئة…',
+          expand: 'عرض كل الإجابات',
+          collapse: 'إخفاء كل الإجابات',
+          empty: 'لا يوجد سؤال يطابق «{query}».',
+          match: 'سؤال واحد مطابق.',
+          matches: '{count} أسئلة مطابقة.',
+        },
+        search: {
+          open: 'بحث',
+          title: 'البحث',
+          label: 'ابحثوا في الموقع',
+          placeholder: 'الساد، القرنية، موعد…',
+          close: 'إغلاق البحث',
+          hint: 'استعملوا ↑ ↓ للتنقل بين النتائج و Enter لفتح نتيجة.',
+          loading: 'جار التحميل…',
+          unavailable: 'البحث غير متاح حاليا.',
+          empty: 'لا توجد نتائج لـ «{query}».',
+          result: 'نتيجة واحدة',
+          results: '{count} نتائج',
+          types: {
+            specialty: 'تخصص',
+            article: 'مقال',
+            faq: 'سؤال شائع',
+          },
+        },
+        validation: {
+          required: 'هذا الحقل إلزامي.',
+          phone: 'أدخلوا رقما مغربيا صحيحا (مثال: 78 56 34 12 6 212+).',
+          email: 'أدخلوا بريدا إلكترونيا صحيحا.',
+          date: 'اختاروا تاريخا ابتداء من اليوم.',
+          minlength: 'أدخلوا {0} أحرف على الأقل.',
+          maxlength: 'لا تتجاوزوا {0} حرفا.',
+          available: 'لم يعد للعيادة أي موعد متاح في هذا اليوم.',
+        },
+        booking: {
+          saved: 'تم تسجيل طلب موعدكم. المرجع: ',
+          notify: 'أخبرونا أيضا عبر',
+          manage: 'تعديل هذا الموعد أو إلغاؤه',
+          failed: 'تعذر تسجيل طلبكم. يرجى المحاولة من جديد أو الاتصال بنا.',
+          send: 'إرسال الطلب عبر',
+        },
+        wizard: {
+          edit: 'تعديل',
+          editField: 'تعديل: {label}',
+        },
+        availability: {
+          full: 'مكتمل',
+          almostFull: 'شبه مكتمل',
+        },
+        slots: {
+          pickDate: 'اختاروا التاريخ أولا',
+          pick: 'اختاروا موعدا',
+          none: 'لا توجد مواعيد متاحة في هذا اليوم',
+          unavailable: 'المواعيد غير متاحة، اتصلوا بنا',
+        },
+        drafts: {
+          region: 'طلب غير مكتمل',
+          restore: 'استرجاع',
+          discard: 'تجاهل',
+          prompt: 'هل تريدون استكمال طلبكم بتاريخ {date}؟',
+          savedAt: '{date} على الساعة {time}',
+        },
+        datepicker: {
+          placeholder: 'يوم/شهر/سنة',
+          prev: 'السابق',
+          next: 'التالي',
+          close: 'إغلاق',
+          today: 'اليوم',
+          week: 'أسبوع',
+        },
+        calendar: {
+          title: 'إضافة إلى مفكرتي:',
+          ics: 'ملف ‎.ics',
+          google: 'تقويم Google',
+          outlook: 'Outlook',
+          event: 'موعد طب العيون – {name}',
+          reference: 'المرجع: {reference}',
+          specialty: 'التخصص: {specialty}',
+          preparation: 'التحضير: {preparation}',
+          change: 'للتعديل أو الإلغاء: {phone}',
+        },
+        manage: {
+          reference: 'المرجع',
+          patient: 'المريض',
+          specialty: 'التخصص',
+          date: 'التاريخ',
+          time: 'الساعة',
+          status: 'الحالة',
+          statuses: {
+            confirmed: 'مؤكد',
+            cancelled: 'ملغى',
+          },
+          notFound: 'لا يوجد موعد يطابق هذا المرجع وهذا الرقم.',
+          lookupFailed: 'تعذر البحث حاليا، يرجى الاتصال بنا.',
+          confirmCancel: 'هل تريدون فعلا إلغاء هذا الموعد؟',
+          cancelDone: 'تم إلغاء موعدكم.',
+          cancelFailed: 'تعذر تسجيل الإلغاء، يرجى الاتصال بنا.',
+          rescheduleDone: 'تم تأجيل موعدكم إلى {date} على الساعة {time}.',
+          rescheduleFailed: 'تعذر تسجيل التأجيل، يرجى الاتصال بنا.',
+        },
+      },
+      specialties: {
+        general: {
+          label: 'فحص طب العيون',
+          description: 'فحص شامل للنظر وقاع العين وتجديد النظارات والعدسات.',
+        },
+        cataract: {
+          label: 'جراحة الساد (الماء الأبيض)',
+          description: 'عملية سريعة لاستبدال عدسة العين واستعادة رؤية واضحة.',
+        },
+        glaucoma: {
+          label: 'علاج الجلوكوما',
+          description: 'تقنيات لخفض ضغط العين وحماية العصب البصري.',
+        },
+        retina: {
+          label: 'الشبكية والتنكس البقعي',
+          description: 'الكشف عن أمراض الشبكية والتنكس البقعي ومتابعتها.',
+        },
+        cornea: {
+          label: 'القرنية وزراعتها',
+          description: 'علاج القرنية المخروطية والتعفنات وزراعة القرنية.',
+        },
+        pediatric: {
+          label: 'طب عيون الأطفال',
+          description: 'الكشف عن اضطرابات البصر والحول عند الأطفال.',
+        },
+        'dry-eye': {
+          label: 'علاج جفاف العين',
+          description: 'حلول لترطيب العينين وتخفيف الانزعاج اليومي.',
+        },
+        laser: {
+          label: 'تصحيح النظر بالليزر (LASIK/PRK)',
+          description: 'تصحيح النظر بالليزر للتخفيف من استعمال النظارات أو العدسات.',
+        },
+        'contact-lenses': {
+          label: 'العدسات اللاصقة',
+          description: 'عدسات مناسبة لتصحيح النظر براحة وأمان.',
+        },
+        myopia: {
+          label: 'قصر النظر',
+          description: 'علاج قصر النظر بالنظارات أو العدسات أو الجراحة.',
+        },
+        other: {
+          label: 'أخرى',
+        },
+      },
+    },
+
+    en: {
+      name: 'English',
+      label: 'EN',
+      dir: 'ltr',
+      intl: 'en-GB',
+      pages: [
+        'index.html',
+        'contact.html',
+        'doctor-details.html',
+        'gerer-rendez-vous.html',
+        'consultation.html',
+        'cataracte.html',
+        'glaucome.html',
+        'retine.html',
+        'cornee.html',
+        'pediatrie.html',
+        'correction-laser.html',
+      ],
+      layouts: {
+        default: {
+          title: 'Dr. Choaib Sadouni - Ophthalmologist in Casablanca',
+          description:
+            'Dr Choaib Sadouni’s eye clinic in Casablanca: cataract surgery, glaucoma, retina care and laser vision correction.',
+          keywords: 'ophthalmologist Casablanca, cataract surgery, glaucoma, eye doctor Morocco, Dr Choaib Sadouni',
+        },
+        specialty: {
+          heroAlt: 'Image',
+          checklistTitle: 'Your care, step by step',
+          faqSubtitle: 'Frequently Asked Questions',
+          faqTitle: 'Your Questions about this Specialty',
+          relatedSubtitle: 'Blog',
+          relatedTitle: 'Related Articles',
+        },
+        post: {
+          headingTitle: 'Blog',
+          minutesLabel: 'min read',
+          previousLabel: 'Previous article',
+          nextLabel: 'Next article',
+        },
+        archive: {
+          categories: 'Category: {name}',
+          tags: 'Tag: {name}',
+          months: 'Archives: {name}',
+          description: 'Articles from Dr Choaib Sadouni’s blog – {name}.',
+        },
+      },
+      messages: {
+        nav: {
+          home: 'Home',
+          doctor: 'Dr. Choaib Sadouni',
+          clinic: 'Our Clinic',
+          specialties: 'Our Specialties',
+          blog: 'Blog',
+          contact: 'Contact',
+          language: 'Language',
+        },
+        footer: {
+          newsletterTitle: 'Subscribe to Our Newsletter',
+          newsletterPlaceholder: 'Enter your Email',
+          newsletterButton: 'Subscribe Now',
+          tagline: 'Dr Sadouni’s eye clinic – Vision care and follow-up.',
+          links: 'Links',
+          home: 'Home',
+          about: 'About Us',
+          contact: 'Contact',
+          specialties: 'Specialties',
+          resources: 'Resources',
+          manage: 'Manage my Appointment',
+          clinic: 'Clinic',
+          rights: 'All Rights Reserved.',
+        },
+        common: {
+          readMore: 'Read More',
+        },
+        blog: {
+          recent: 'Recent Articles',
+          categories: 'Categories',
+          archives: 'Archives',
+          tags: 'Tags',
+        },
+        feeds: {
+          title: 'Dr. Choaib Sadouni’s blog',
+          description: 'Eye health articles by Dr. Choaib Sadouni, ophthalmologist in Casablanca.',
+          category: '{name} – Dr. Choaib Sadouni’s blog',
+          categoryDescription: '“{name}” articles from Dr. Choaib Sadouni’s blog.',
+        },
+        slider: {
+          carousel: 'Carousel',
+          slide: 'Slide',
+          position: '{number} of {count}',
+          status: 'Slide {number} of {count}',
+          previous: 'Previous slide',
+          next: 'Next slide',
+          pause: 'Pause the rotation',
+          play: 'Start the rotation',
+        },
+        pagination: {
+          label: 'Blog pages',
+          previous: 'Previous page',
+          next: 'Next page',
+          page: 'Page {number}',
+          loadMore: 'Load more',
+          loading: 'Loading…',
+          loaded: '{count} more articles shown.',
+        },
+        video: {
+          open: 'Play the video',
+          title: 'Video',
+          close: 'Close the video',
+          consent:
+            'This video is hosted by {provider}. Playing it loads the {provider} player, which may set cookies and receive your IP address.',
+          play: 'Play the video',
+          remember: 'Always allow {provider} videos',
+          external: 'Watch on {provider}',
+          invalid: 'This video cannot be played here.',
+          unsupported: 'Your browser cannot play this video.',
+          chapters: 'Chapters',
+          speed: 'Speed',
+          rate: '{rate}×',
+          resumed: 'Resumed where you left off ({time}).',
+          restart: 'Watch from the start',
+        },
+        faq: {
+          filter: 'Search the questions',
+          placeholder: 'Appointment, hours, emergency…',
+          expand: 'Expand all',
+          collapse: 'Collapse all',
+          empty: 'No question matches “{query}”.',
+          match: '1 question matches.',
+          matches: '{count} questions match.',
+        },
+        search: {
+          open: 'Search',
+          title: 'Search',
+          label: 'Search the site',
+          placeholder: 'Cataract, cornea, appointment…',
+          close: 'Close search',
+          hint: 'Use ↑ ↓ to browse the results and Enter to open one.',
+          loading: 'Loading…',
+          unavailable: 'Search is unavailable right now.',
+          empty: 'No results for “{query}”.',
+          result: '1 result',
+          results: '{count} results',
+          types: {
+            specialty: 'Specialty',
+            article: 'Article',
+            faq: 'FAQ',
+          },
+        },
+        validation: {
+          required: 'This field is required.',
+          phone: 'Enter a valid Moroccan number (e.g. +212 6 12 34 56 78).',
+          email: 'Enter a valid email address.',
+          date: 'Pick a date from today onwards.',
+          minlength: 'Enter at least {0} characters.',
+          maxlength: 'Do not exceed {0} characters.',
+          available: 'The clinic has no availability left on that day.',
+        },
+        booking: {
+          saved: 'Your appointment request has been recorded. Reference: ',
+          notify: 'Also let us know by',
+          manage: 'Change or cancel this appointment',
+          failed: 'Your request could not be recorded. Please try again or call us.',
+          send: 'Send the request by',
+        },
+        wizard: {
+          edit: 'Edit',
+          editField: 'Edit: {label}',
+        },
+        availability: {
+          full: 'Full',
+          almostFull: 'Almost full',
+        },
+        slots: {
+          pickDate: 'Pick a date first',
+          pick: 'Pick a time slot',
+          none: 'No free slot on that day',
+          unavailable: 'Time slots unavailable, please call us',
+        },
+        drafts: {
+          region: 'Unfinished request',
+          restore: 'Restore',
+          discard: 'Dismiss',
+          prompt: 'Would you like to resume your request from {date}?',
+          savedAt: '{date} at {time}',
+        },
+        datepicker: {
+          placeholder: 'DD/MM/YYYY',
+          prev: 'Previous',
+          next: 'Next',
+          close: 'Close',
+          today: 'Today',
+          week: 'Wk',
+        },
+        calendar: {
+          title: 'Add to my calendar:',
+          ics: '.ics file',
+          google: 'Google Calendar',
+          outlook: 'Outlook',
+          event: 'Eye appointment – {name}',
+          reference: 'Reference: {reference}',
+          specialty: 'Specialty: {specialty}',
+          preparation: 'Preparation: {preparation}',
+          change: 'To change or cancel: {phone}',
+        },
+        manage: {
+          reference: 'Reference',
+          patient: 'Patient',
+          specialty: 'Specialty',
+          date: 'Date',
+          time: 'Time',
+          status: 'Status',
+          statuses: {
+            confirmed: 'Confirmed',
+            cancelled: 'Cancelled',
+          },
+          notFound: 'No appointment matches this reference and phone number.',
+          lookupFailed: 'The search is unavailable right now, please call us.',
+          confirmCancel: 'Do you really want to cancel this appointment?',
+          cancelDone: 'Your appointment has been cancelled.',
+          cancelFailed: 'The cancellation could not be recorded, please call us.',
+          rescheduleDone: 'Your appointment has been moved to {date} at {time}.',
+          rescheduleFailed: 'The change could not be recorded, please call us.',
+        },
+      },
+      specialties: {
+        general: {
+          label: 'Eye examination',
+          description: 'A full eye check-up, fundus examination and renewal of your glasses or lenses.',
+        },
+        cataract: {
+          label: 'Cataract surgery',
+          description: 'A quick procedure that replaces the lens and brings back clear vision.',
+        },
+        glaucoma: {
+          label: 'Glaucoma treatment',
+          description: 'Techniques that lower eye pressure and protect the optic nerve.',
+        },
+        retina: {
+          label: 'Retina and AMD',
+          description: 'Screening and follow-up of retinal diseases and macular degeneration.',
+        },
+        cornea: {
+          label: 'Cornea and transplantation',
+          description: 'Care for keratoconus, infections and corneal grafts.',
+        },
+        pediatric: {
+          label: 'Paediatric ophthalmology',
+          description: 'Screening for vision problems and squint in children.',
+        },
+        'dry-eye': {
+          label: 'Dry eye treatment',
+          description: 'Solutions that moisten the eyes and ease everyday discomfort.',
+        },
+        laser: {
+          label: 'Laser vision correction (LASIK/PRK)',
+          description: 'Laser eye surgery to depend less on glasses or contact lenses.',
+        },
+        'contact-lenses': {
+          label: 'Contact lenses',
+          description: 'Lenses fitted to correct your vision comfortably and safely.',
+        },
+        myopia: {
+          label: 'Myopia',
+          description: 'Treating short-sightedness with glasses, lenses or surgery.',
+        },
+        other: {
+          label: 'Other',
+        },
+      },
+    },
+  };
+});
@@ -0,0 +1,226 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Form Validation
+  |--------------------------------------------------------------------------
+  |
+  | Any form holding `[data-validate]` fields is checked on submit and the
+  | submission is blocked until every field is valid. Rules are listed in
+  | the attribute and take their parameter from `data-validate-<rule>`:
+  |
+  |   <input name="phone" data-validate="required phone">
+  |   <textarea data-validate="maxlength" data-validate-maxlength="1000">
+  |
+  | Errors are shown under the field's `cs_form_field_wrapper`. Load this
+  | file before booking.js so invalid forms never reach the booking engine.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  $(function () {
+    validateForms();
+  });
+
+  /*--------------------------------------------------------------
+    1. Rules
+  --------------------------------------------------------------*/
+  var PHONE_PATTERN = /^(?:\+212|00212|0)([5-7]\d{8})$/;
+  var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+  // "06 12-34.56 78", "+212 612 345 678" and "00212612345678" all become
+  // "+212612345678"; anything that is not a Moroccan number returns null.
+  function normalizePhone(value) {
+    var match = String(value || '')
+      .replace(/[\s.\-()]/g, '')
+      .match(PHONE_PATTERN);
+    return match ? '+212' + match[1] : null;
+  }
+
+  function parseDate(field) {
+    var value = $.trim($(field).val());
+    var $field = $(field);
+    if ($field.hasClass('hasDatepicker')) {
+      try {
+        return $.datepicker.parseDate($field.datepicker('option', 'dateFormat'), value);
+      } catch (e) {
+        return null;
+      }
+    }
+    var iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return iso ? new Date(+iso[1], iso[2] - 1, +iso[3]) : null;
+  }
+
+  function startOfToday() {
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+  }
+
+  // Messages in the page language; `{0}` is the rule's parameter
+  function t(key) {
+    return Sadouni.i18n.t(key);
+  }
+
+  var rules = {
+    required: {
+      test: function (value, field) {
+        if (field.type === 'checkbox' || field.type === 'radio') {
+          return field.checked;
+        }
+        return $.trim(value) !== '';
+      },
+      message: t('validation.required'),
+    },
+    phone: {
+      test: function (value) {
+        return normalizePhone(value) !== null;
+      },
+      message: t('validation.phone'),
+    },
+    email: {
+      test: function (value) {
+        return EMAIL_PATTERN.test($.trim(value));
+      },
+      message: t('validation.email'),
+    },
+    date: {
+      test: function (value, field) {
+        var date = parseDate(field);
+        return date !== null && date >= startOfToday();
+      },
+      message: t('validation.date'),
+    },
+    minlength: {
+      test: function (value, field, param) {
+        return $.trim(value).length >= parseInt(param, 10);
+      },
+      message: t('validation.minlength'),
+    },
+    maxlength: {
+      test: function (value, field, param) {
+        return $.trim(value).length <= parseInt(param, 10);
+      },
+      message: t('validation.maxlength'),
+    },
+  };
+
+  function addRule(name, test, message) {
+    rules[name] = { test: test, message: message };
+  }
+
+  /*--------------------------------------------------------------
+    2. Field Validation
+  --------------------------------------------------------------*/
+  // Returns the first failing rule's message, or null when the field is valid.
+  function validateField(field) {
+    var $field = $(field);
+    var names = String($field.data('validate') || '').split(/\s+/);
+    var value = $field.val() || '';
+
+    for (var i = 0; i < names.length; i++) {
+      var name = names[i];
+      if (!name) {
+        continue;
+      }
+      if (!rules[name]) {
+        throw new Error('Unknown validation rule "' + name + '"');
+      }
+      // Optional fields are only checked once something has been entered
+      if (name !== 'required' && $.trim(value) === '') {
+        continue;
+      }
+      var param = $field.data('validate-' + name);
+      if (!rules[name].test(value, field, param)) {
+        return $field.data('validate-message') ||
+          rules[name].message.replace('{0}', param);
+      }
+    }
+    return null;
+  }
+
+  function errorId(field) {
+    if (!field.id) {
+      field.id = 'cs_field_' + Math.random().toString(36).slice(2, 9);
+    }
+    return field.id + '_error';
+  }
+
+  function showError(field, message) {
+    var $field = $(field);
+    var $wrapper = $field.closest('.cs_form_field_wrapper');
+    var $anchor = $wrapper.length ? $wrapper : $field;
+    var id = errorId(field);
+    var $error = $('#' + id);
+
+    if (!message) {
+      $error.remove();
+      $wrapper.removeClass('cs_invalid');
+      $field.removeAttr('aria-invalid aria-describedby');
+      return;
+    }
+    if (!$error.length) {
+      $error = $('<span class="cs_field_error"></span>').attr('id', id);
+      $anchor.after($error);
+    }
+    $error.text(message);
+    $wrapper.addClass('cs_invalid');
+    $field.attr({ 'aria-invalid': 'true', 'aria-describedby': id });
+  }
+
+  // Validates a set of fields and reports their errors; true when all pass.
+  function validateFields($fields) {
+    var valid = true;
+    $fields.filter('[data-validate]').each(function () {
+      var message = validateField(this);
+      showError(this, message);
+      if (message) {
+        valid = false;
+      }
+    });
+    return valid;
+  }
+
+  function validateForm($form) {
+    var valid = validateFields($form.find('[data-validate]'));
+    if (!valid) {
+      $form.find('[aria-invalid="true"]').first().trigger('focus');
+    }
+    return valid;
+  }
+
+  /*--------------------------------------------------------------
+    3. Form Binding
+  --------------------------------------------------------------*/
+  function validateForms() {
+    $('form').has('[data-validate]').each(function () {
+      var $form = $(this).attr('novalidate', 'novalidate');
+
+      $form.on('submit', function (e) {
+        if (!validateForm($form)) {
+          e.preventDefault();
+          e.stopImmediatePropagation();
+        }
+      });
+      // Re-check on blur, and while typing once a field has been flagged
+      $form.on('focusout change', '[data-validate]', function () {
+        showError(this, validateField(this));
+      });
+      $form.on('input', '[aria-invalid="true"]', function () {
+        showError(this, validateField(this));
+      });
+    });
+  }
+
+  Sadouni.validation = {
+    rules: rules,
+    addRule: addRule,
+    normalizePhone: normalizePhone,
+    validateField: validateField,
+    validateFields: validateFields,
+    validateForm: validateForm,
+    showError: showError,
+  };
+})(jQuery, window);
@@ -0,0 +1,247 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Video Modal
+  |--------------------------------------------------------------------------
+  |
+  | The popup of the theme's play buttons (a.cs_video_open), started by
+  | main.js as `Sadouni.videoModal.init()`. The link's href goes through
+  | Sadouni.videoProviders (video-providers.js, loaded first): links off
+  | the allow-list are not played, YouTube plays from youtube-nocookie.com
+  | and our own .mp4 / .m3u8 files play in Sadouni.videoPlayer
+  | (video-player.js, with captions, chapters, speed and resume).
+  |
+  | A YouTube or Vimeo player is only loaded after a click on the poster,
+  | which says who hosts the video; "always allow" remembers the choice
+  | per provider in localStorage. Optional link attributes:
+  |
+  |   data-poster         image behind the consent message (default
+  |                       DEFAULT_POSTER)
+  |   data-video-title    name of the video for screen readers (default
+  |                       the link text)
+  |   data-captions, data-chapters
+  |                       WebVTT files of our own videos, see
+  |                       video-player.js
+  |
+  | The popup is a modal dialog: Tab stays inside it, Escape or the close
+  | button close it and the focus goes back to the link.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var DEFAULT_POSTER = 'assets/img/video_bg_2.jpeg';
+  var CONSENT_KEY = 'sadouni_video_consent';
+  var FOCUSABLE =
+    'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), iframe, video, [tabindex]:not([tabindex="-1"])';
+
+  var $popup;
+  var $frame;
+  var $close;
+  var $opener = $();
+
+  function t(key, params) {
+    return Sadouni.i18n.t('video.' + key, params);
+  }
+
+  /*--------------------------------------------------------------
+    1. Consent
+  --------------------------------------------------------------*/
+  function consents() {
+    try {
+      return JSON.parse(window.localStorage.getItem(CONSENT_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function allow(provider) {
+    var saved = consents();
+    saved[provider] = true;
+    try {
+      window.localStorage.setItem(CONSENT_KEY, JSON.stringify(saved));
+    } catch (error) {
+      // Storage refused (private browsing): asked again next time
+    }
+  }
+
+  function consentGate(video, title, poster) {
+    var $remember = $('<input>', { type: 'checkbox', class: 'cs_video_consent_remember' });
+    var $play = $('<button>', { type: 'button', class: 'cs_btn cs_style_1 cs_fs_18 cs_semibold cs_accent_bg cs_radius_100' }).append(
+      $('<span>', { class: 'cs_btn_text', text: t('play') }),
+    );
+    $play.on('click', function () {
+      if ($remember.prop('checked')) {
+        allow(video.provider);
+      }
+      show(player(video, title, $()));
+    });
+    return $('<div>', { class: 'cs_video_consent cs_bg_filed' }).css('background-image', 'url("' + poster + '")').append(
+      $('<div>', { class: 'cs_video_consent_box cs_fs_16' }).append(
+        $('<p>', { text: t('consent', { provider: video.name }) }),
+        $play,
+        $('<label>').append($remember, ' ', t('remember', { provider: video.name })),
+        $('<a>', { href: video.url, target: '_blank', rel: 'noopener noreferrer', text: t('external', { provider: video.name }) }),
+      ),
+    );
+  }
+
+  function notice(message) {
+    return $('<div>', { class: 'cs_video_consent' }).append(
+      $('<div>', { class: 'cs_video_consent_box cs_fs_16' }).append($('<p>', { text: message })),
+    );
+  }
+
+  // Iframes and messages keep the 16:9 box of the theme
+  function ratio($content) {
+    return $('<div>', { class: 'embed-responsive embed-responsive-16by9' }).append($content);
+  }
+
+  /*--------------------------------------------------------------
+    2. Players
+  --------------------------------------------------------------*/
+  function player(video, title, $link) {
+    if (video.kind !== 'iframe') {
+      var $player = Sadouni.videoPlayer.create(video, {
+        title: title,
+        captions: $link.attr('data-captions'),
+        chapters: $link.attr('data-chapters'),
+      });
+      return $player || ratio(notice(t('unsupported')));
+    }
+    return ratio(
+      $('<iframe>', {
+        class: 'embed-responsive-item',
+        src: video.src,
+        title: title,
+        allow: 'autoplay; fullscreen; picture-in-picture; encrypted-media',
+        allowfullscreen: true,
+        referrerpolicy: 'strict-origin-when-cross-origin',
+      }),
+    );
+  }
+
+  /*--------------------------------------------------------------
+    3. Popup
+  --------------------------------------------------------------*/
+  // Emptying the frame stops the video
+  function clear() {
+    var teardown = $frame.children().data('teardown');
+    if (teardown) {
+      teardown();
+    }
+    $frame.empty();
+  }
+
+  function show($content) {
+    clear();
+    $frame.append($content);
+    focusables().first().trigger('focus');
+  }
+
+  function focusables() {
+    return $popup.find('.cs_video_popup-container').find(FOCUSABLE).filter(':visible');
+  }
+
+  function open($link) {
+    // Relative to <base href> on translated pages, as the browser reads it
+    var video = Sadouni.videoProviders.resolve($link.attr('href'), window.document.baseURI);
+    var title = $link.attr('data-video-title') || $.trim($link.text()) || t('title');
+
+    $opener = $link;
+    $popup.attr('aria-label', title).addClass('active');
+    $('html').addClass('overflow-hidden');
+    if (!video) {
+      show(ratio(notice(t('invalid'))));
+    } else if (video.thirdParty && !consents()[video.provider]) {
+      show(ratio(consentGate(video, title, $link.attr('data-poster') || DEFAULT_POSTER)));
+    } else {
+      show(player(video, title, $link));
+    }
+    if (!focusables().length || !$.contains($popup[0], window.document.activeElement)) {
+      $close.trigger('focus');
+    }
+  }
+
+  function close() {
+    if (!$popup.hasClass('active')) {
+      return;
+    }
+    clear();
+    $popup.removeClass('active');
+    $('html').removeClass('overflow-hidden');
+    $opener.trigger('focus');
+  }
+
+  // Tab and Shift+Tab go round the popup
+  function trapFocus(event) {
+    var $all = focusables();
+    var first = $all[0];
+    var last = $all[$all.length - 1];
+    if (event.shiftKey && window.document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && window.document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  function create() {
+    $close = $('<button>', { type: 'button', class: 'cs_video_popup-close', 'aria-label': t('close') });
+    $frame = $('<div>', { class: 'cs_video_popup-frame' });
+    $popup = $('<div>', { class: 'cs_video_popup', role: 'dialog', 'aria-modal': 'true' }).append(
+      $('<div>', { class: 'cs_video_popup-overlay' }),
+      $('<div>', { class: 'cs_video_popup-content' }).append(
+        $('<div>', { class: 'cs_video_popup-layer' }),
+        $('<div>', { class: 'cs_video_popup-container' }).append(
+          $('<div>', { class: 'cs_video_popup-align' }).append($frame),
+          $close,
+        ),
+      ),
+    );
+    $('body').append($popup);
+
+    $close.on('click', close);
+    $popup.find('.cs_video_popup-layer').on('click', close);
+    $popup.on('keydown', function (event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        close();
+      } else if (event.key === 'Tab') {
+        trapFocus(event);
+      }
+    });
+    // Focus leaving through the player's own frame comes back in
+    $(window.document).on('focusin', function (event) {
+      if ($popup.hasClass('active') && !$.contains($popup[0], event.target)) {
+        $close.trigger('focus');
+      }
+    });
+  }
+
+  function init() {
+    var $links = $('.cs_video_open');
+    if (!$links.length || !Sadouni.videoProviders) {
+      return;
+    }
+    create();
+    $links.each(function () {
+      var $link = $(this);
+      $link.attr('aria-haspopup', 'dialog');
+      if (!$.trim($link.text()) && !$link.attr('aria-label')) {
+        $link.attr('aria-label', $link.attr('data-video-title') || t('open'));
+      }
+    });
+    $(window.document).on('click', '.cs_video_open', function (event) {
+      event.preventDefault();
+      open($(this));
+    });
+  }
+
+  Sadouni.videoModal = {
+    init: init,
+  };
+})(jQuery, window);
@@ -0,0 +1,275 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Video Player
+  |--------------------------------------------------------------------------
+  |
+  | The player of our own videos (.mp4, .m3u8) in the video popup
+  | (video-modal.js): the browser's <video> controls, plus
+  |
+  |   captions   WebVTT <track>s, the page language's on by default
+  |   chapters   a list of the chapters of a WebVTT file, to jump to
+  |              and following the playback
+  |   speed      0.75× to 2×
+  |   resume     where the visitor stopped, kept in localStorage, is
+  |              where the video starts next time
+  |
+  | The files come from the play link, as space-separated `lang:url`:
+  |
+  |   <a href="assets/video/cataracte.mp4" class="cs_video_open"
+  |      data-video-title="Se préparer à l'opération de la cataracte"
+  |      data-captions="fr:assets/video/cataracte.fr.vtt ar:assets/video/cataracte.ar.vtt"
+  |      data-chapters="fr:assets/video/cataracte.chapitres.fr.vtt">
+  |
+  | A chapters file is WebVTT with one cue per chapter, its text being
+  | the chapter title ("Avant l'opération", "Le jour J", "Après"). The
+  | chapters of the page language are shown, else the French ones.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  var SPEEDS = [0.75, 1, 1.25, 1.5, 2];
+  var POSITIONS_KEY = 'sadouni_video_positions';
+  var SAVE_EVERY = 5;
+  var MIN_RESUME = 5;
+  var END_MARGIN = 10;
+  var HLS_TYPE = 'application/vnd.apple.mpegurl';
+  var CUE_TIME = /^((?:\d+:)?\d{1,2}:\d{2}(?:\.\d{1,3})?)\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}(?:\.\d{1,3})?)/;
+
+  function t(key, params) {
+    return Sadouni.i18n.t('video.' + key, params);
+  }
+
+  function lang() {
+    return Sadouni.i18n ? Sadouni.i18n.locale : 'fr';
+  }
+
+  /*--------------------------------------------------------------
+    1. Files
+  --------------------------------------------------------------*/
+  // "fr:a.vtt ar:b.vtt" -> { fr: 'a.vtt', ar: 'b.vtt' }
+  function files(value) {
+    var found = {};
+    $.each($.trim(value || '').split(/\s+/), function (_, entry) {
+      var pair = /^([a-z]{2}):(.+)$/.exec(entry);
+      if (pair) {
+        found[pair[1]] = pair[2];
+      }
+    });
+    return found;
+  }
+
+  // "01:02.500" or "1:01:02.500" in seconds
+  function seconds(time) {
+    return time.split(':').reduce(function (total, part) {
+      return total * 60 + parseFloat(part);
+    }, 0);
+  }
+
+  // The cues of a WebVTT file as [{ start, end, text }]
+  function parseVtt(text) {
+    var cues = [];
+    $.each(String(text).replace(/\r\n?/g, '\n').split(/\n{2,}/), function (_, block) {
+      var lines = block.split('\n');
+      for (var i = 0; i < lines.length; i++) {
+        var time = CUE_TIME.exec(lines[i]);
+        if (time) {
+          cues.push({ start: seconds(time[1]), end: seconds(time[2]), text: $.trim(lines.slice(i + 1).join(' ')) });
+          return;
+        }
+      }
+    });
+    return cues;
+  }
+
+  // "83" -> "1:23"
+  function clock(value) {
+    var whole = Math.floor(value);
+    var rest = whole % 3600;
+    var minutes = Math.floor(rest / 60);
+    var secs = ('0' + (rest % 60)).slice(-2);
+    return whole >= 3600 ? Math.floor(whole / 3600) + ':' + ('0' + minutes).slice(-2) + ':' + secs : minutes + ':' + secs;
+  }
+
+  /*--------------------------------------------------------------
+    2. Resume
+  --------------------------------------------------------------*/
+  function positions() {
+    try {
+      return JSON.parse(window.localStorage.getItem(POSITIONS_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function remember(src, position) {
+    var saved = positions();
+    if (position === null) {
+      delete saved[src];
+    } else {
+      saved[src] = Math.floor(position);
+    }
+    try {
+      window.localStorage.setItem(POSITIONS_KEY, JSON.stringify(saved));
+    } catch (error) {
+      // Storage refused (private browsing): the video starts over
+    }
+  }
+
+  function resume(element, src, $status) {
+    var position = positions()[src];
+    if (!position || position < MIN_RESUME || position > element.duration - END_MARGIN) {
+      return;
+    }
+    element.currentTime = position;
+    var $restart = $('<button>', { type: 'button', class: 'cs_video_restart', text: t('restart') }).on('click', function () {
+      element.currentTime = 0;
+      $status.empty();
+      element.play();
+    });
+    $status.empty().append($('<span>', { text: t('resumed', { time: clock(position) }) }), ' ', $restart);
+  }
+
+  /*--------------------------------------------------------------
+    3. Controls
+  --------------------------------------------------------------*/
+  function captionTracks($video, captions) {
+    var names = Sadouni.translations || {};
+    $.each(captions, function (code, src) {
+      var $track = $('<track>', { kind: 'captions', src: src, srclang: code, label: names[code] ? names[code].name : code });
+      if (code === lang()) {
+        $track.attr('default', '');
+      }
+      $video.append($track);
+    });
+  }
+
+  function chapterList(element, src) {
+    var $list = $('<ol>', { class: 'cs_video_chapters cs_mp0' });
+    var $nav = $('<nav>', { class: 'cs_video_chapters_nav', 'aria-label': t('chapters') }).append(
+      $('<p>', { class: 'cs_video_tools_title cs_semibold', text: t('chapters') }),
+      $list,
+    );
+    var cues = [];
+
+    function follow() {
+      var now = element.currentTime;
+      $list.children().each(function (index) {
+        var cue = cues[index];
+        var current = now >= cue.start && (now < cue.end || index === cues.length - 1);
+        $(this).toggleClass('active', current).find('button').attr('aria-current', current ? 'true' : null);
+      });
+    }
+
+    $.get(src, null, null, 'text').done(function (text) {
+      cues = parseVtt(text);
+      $list.append(
+        $.map(cues, function (cue) {
+          var $button = $('<button>', { type: 'button' }).append(
+            $('<span>', { class: 'cs_video_chapter_time', text: clock(cue.start) }),
+            ' ',
+            $('<span>', { text: cue.text }),
+          );
+          $button.on('click', function () {
+            element.currentTime = cue.start;
+            element.play();
+          });
+          return $('<li>').append($button)[0];
+        }),
+      );
+      follow();
+      $(element).on('timeupdate', follow);
+    });
+    return $nav;
+  }
+
+  function speedControl(element) {
+    var $select = $('<select>', { class: 'cs_video_speed' }).append(
+      $.map(SPEEDS, function (speed) {
+        var label = Sadouni.locale ? Sadouni.locale.formatNumber(speed) : String(speed);
+        return $('<option>', { value: speed, text: t('rate', { rate: label }), selected: speed === 1 })[0];
+      }),
+    );
+    $select.on('change', function () {
+      element.playbackRate = parseFloat($select.val());
+    });
+    // The player resets the rate when it loads another source
+    $(element).on('loadedmetadata', function () {
+      element.playbackRate = parseFloat($select.val());
+    });
+    return $('<label>', { class: 'cs_video_speed_label' }).append($('<span>', { text: t('speed') }), ' ', $select);
+  }
+
+  /*--------------------------------------------------------------
+    4. Player
+  --------------------------------------------------------------*/
+  // The player of `video` (from Sadouni.videoProviders) with the files
+  // of `options` ({ title, captions, chapters } as in data-captions),
+  // or null when the browser can't play it. The element's
+  // data('teardown') saves the position and stops the video.
+  function create(video, options) {
+    var $video = $('<video>', { controls: true, autoplay: true, playsinline: true, preload: 'metadata', title: options.title });
+    var element = $video[0];
+    var src = new URL(video.src).pathname;
+    var chapters = files(options.chapters);
+    var $status = $('<p>', { class: 'cs_video_status', role: 'status' });
+    var $tools = $('<div>', { class: 'cs_video_tools' });
+    var hls = null;
+    var saved = 0;
+
+    captionTracks($video, files(options.captions));
+    if (video.kind === 'mp4' || element.canPlayType(HLS_TYPE)) {
+      $video.attr('src', video.src);
+    } else if (window.Hls && window.Hls.isSupported()) {
+      // hls.js, when a page loads it, for browsers without native HLS
+      hls = new window.Hls();
+      hls.loadSource(video.src);
+      hls.attachMedia(element);
+    } else {
+      return null;
+    }
+
+    $video.on('loadedmetadata', function () {
+      resume(element, src, $status);
+    });
+    $video.on('timeupdate', function () {
+      if (Math.abs(element.currentTime - saved) >= SAVE_EVERY) {
+        saved = element.currentTime;
+        remember(src, saved);
+      }
+    });
+    $video.on('pause', function () {
+      if (!element.ended) {
+        remember(src, element.currentTime);
+      }
+    });
+    $video.on('ended', function () {
+      remember(src, null);
+    });
+
+    $tools.append(speedControl(element), $status);
+    if (chapters[lang()] || chapters.fr) {
+      $tools.prepend(chapterList(element, chapters[lang()] || chapters.fr));
+    }
+
+    return $('<div>', { class: 'cs_video_player' })
+      .append($('<div>', { class: 'embed-responsive embed-responsive-16by9' }).append($video), $tools)
+      .data('teardown', function () {
+        if (element.currentTime && !element.ended) {
+          remember(src, element.currentTime);
+        }
+        element.pause();
+        if (hls) {
+          hls.destroy();
+        }
+      });
+  }
+
+  Sadouni.videoPlayer = {
+    create: create,
+    parseVtt: parseVtt,
+  };
+})(jQuery, window);
@@ -0,0 +1,136 @@
+(function (root, factory) {
+  'use strict';
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    var Sadouni = (root.Sadouni = root.Sadouni || {});
+    Sadouni.videoProviders = factory();
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Video Providers
+  |--------------------------------------------------------------------------
+  |
+  | Which videos the video popup (video-modal.js) may play, and how. A
+  | link is resolved against an allow-list; anything else is refused:
+  |
+  |   YouTube      youtube.com/embed/<id>, /watch?v=<id>, /shorts/<id>,
+  |                youtu.be/<id>; played from youtube-nocookie.com
+  |   Vimeo        vimeo.com/<id>, player.vimeo.com/video/<id>, with
+  |                the hash of unlisted videos; played with dnt=1
+  |   our own      .mp4 and .m3u8 (HLS) files of the site itself
+  |
+  |   resolve('https://youtu.be/rRid6GCJtgc', location.href)
+  |     { provider: 'youtube', name: 'YouTube', kind: 'iframe',
+  |       src: 'https://www.youtube-nocookie.com/embed/rRid6GCJtgc?autoplay=1&rel=0',
+  |       url: <the link as given, absolute>, thirdParty: true }
+  |
+  | `kind` is "iframe", "mp4" or "hls". Third-party players only load
+  | once the visitor agrees (`thirdParty`).
+  |
+  */
+
+  var YOUTUBE_ID = /^[\w-]{11}$/;
+  var VIMEO_ID = /^\d+$/;
+  var VIMEO_HASH = /^[0-9a-f]+$/i;
+
+  function parse(href, base) {
+    try {
+      return new URL(href, base);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function query(params) {
+    return Object.keys(params)
+      .map(function (key) {
+        return key + '=' + encodeURIComponent(params[key]);
+      })
+      .join('&');
+  }
+
+  // Seconds from "90", "90s" or "1m30s"
+  function seconds(value) {
+    var time = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/.exec(value || '');
+    return time && value ? (+time[1] || 0) * 3600 + (+time[2] || 0) * 60 + (+time[3] || 0) : 0;
+  }
+
+  var PROVIDERS = [
+    {
+      provider: 'youtube',
+      name: 'YouTube',
+      hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com', 'youtu.be'],
+      embed: function (url) {
+        var path = url.pathname.split('/').filter(Boolean);
+        var id = url.hostname === 'youtu.be' ? path[0] : url.searchParams.get('v');
+        if (!id && (path[0] === 'embed' || path[0] === 'shorts')) {
+          id = path[1];
+        }
+        if (!YOUTUBE_ID.test(id || '')) {
+          return null;
+        }
+        var params = { autoplay: 1, rel: 0 };
+        var start = seconds(url.searchParams.get('start') || url.searchParams.get('t'));
+        if (start) {
+          params.start = start;
+        }
+        return 'https://www.youtube-nocookie.com/embed/' + id + '?' + query(params);
+      },
+    },
+    {
+      provider: 'vimeo',
+      name: 'Vimeo',
+      hosts: ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'],
+      embed: function (url) {
+        var path = url.pathname.split('/').filter(Boolean);
+        if (path[0] === 'video') {
+          path.shift();
+        }
+        var hash = url.searchParams.get('h') || path[1];
+        if (!VIMEO_ID.test(path[0] || '')) {
+          return null;
+        }
+        var params = { autoplay: 1, dnt: 1 };
+        if (hash && VIMEO_HASH.test(hash)) {
+          params.h = hash;
+        }
+        return 'https://player.vimeo.com/video/' + path[0] + '?' + query(params);
+      },
+    },
+  ];
+
+  var FILES = { '.mp4': 'mp4', '.m3u8': 'hls' };
+
+  // The video of the link, or null when it isn't on the allow-list.
+  // `base` is the page URL relative links are read from.
+  function resolve(href, base) {
+    var url = parse(href, base);
+    if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) {
+      return null;
+    }
+    var origin = parse(base);
+    var extension = (/\.[a-z0-9]+$/i.exec(url.pathname) || [''])[0].toLowerCase();
+    if (origin && url.origin === origin.origin && FILES[extension]) {
+      return { provider: 'self', name: '', kind: FILES[extension], src: url.href, url: url.href, thirdParty: false };
+    }
+    if (url.protocol !== 'https:') {
+      return null;
+    }
+    for (var i = 0; i < PROVIDERS.length; i++) {
+      var entry = PROVIDERS[i];
+      var src = entry.hosts.indexOf(url.hostname) !== -1 ? entry.embed(url) : null;
+      if (src) {
+        return { provider: entry.provider, name: entry.name, kind: 'iframe', src: src, url: url.href, thirdParty: true };
+      }
+    }
+    return null;
+  }
+
+  return {
+    resolve: resolve,
+  };
+});
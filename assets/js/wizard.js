@@ -0,0 +1,160 @@
+(function ($, window) {
+  'use strict';
+
+  /*
+  |--------------------------------------------------------------------------
+  | Form Wizard
+  |--------------------------------------------------------------------------
+  |
+  | Turns a `[data-wizard]` form into a step by step flow. Each
+  | `.cs_wizard_step` fieldset becomes a step titled by its
+  | `data-step-title`; the last one holds a `.cs_wizard_review` summary of
+  | the fields marked with `data-review-label`. Steps are only hidden, so
+  | going back and forth keeps everything the patient typed, and without
+  | JavaScript the form is still one plain page.
+  |
+  | Load this file before validation.js: it holds the submit event back
+  | until the review step is reached.
+  |
+  */
+
+  var Sadouni = (window.Sadouni = window.Sadouni || {});
+
+  $(function () {
+    formWizard();
+  });
+
+  /*--------------------------------------------------------------
+    1. Review
+  --------------------------------------------------------------*/
+  function displayValue($field) {
+    if ($field.is('select')) {
+      return $field.val() ? $field.find('option:selected').text() : '';
+    }
+    return $.trim($field.val());
+  }
+
+  function renderReview($form, $steps, goTo) {
+    var $list = $('<dl class="cs_wizard_review_list"></dl>');
+    $form.find('[data-review-label]').each(function () {
+      var $field = $(this);
+      var value = displayValue($field);
+      var step = $steps.index($field.closest('.cs_wizard_step'));
+      var $edit = $('<button type="button" class="cs_wizard_edit"></button>')
+        .text(Sadouni.i18n.t('wizard.edit'))
+        .attr('aria-label', Sadouni.i18n.t('wizard.editField', { label: $field.data('review-label') }))
+        .on('click', function () {
+          goTo(step);
+          $field.trigger('focus');
+        });
+      $list.append(
+        $('<div class="cs_wizard_review_item"></div>').append(
+          $('<dt></dt>').text($field.data('review-label')),
+          $('<dd></dd>').text(value || '—').append($edit),
+        ),
+      );
+    });
+    $form.find('.cs_wizard_review').empty().append($list);
+  }
+
+  /*--------------------------------------------------------------
+    2. Wizard
+  --------------------------------------------------------------*/
+  function createWizard($form) {
+    var $steps = $form.find('.cs_wizard_step');
+    var $prev = $form.find('[data-wizard-prev]');
+    var $next = $form.find('[data-wizard-next]');
+    var $submit = $form.find('[type="submit"]');
+    var $progress = $('<ol class="cs_wizard_progress cs_mp0"></ol>');
+    var current = 0;
+
+    $steps.each(function (index) {
+      $progress.append(
+        $('<li></li>')
+          .append($('<span class="cs_wizard_progress_number"></span>').text(index + 1))
+          .append($('<span class="cs_wizard_progress_title"></span>').text($(this).data('step-title'))),
+      );
+    });
+    $('<div class="col-md-12"></div>').append($progress).prependTo($form);
+
+    function isLast() {
+      return current === $steps.length - 1;
+    }
+
+    function goTo(index) {
+      current = Math.max(0, Math.min(index, $steps.length - 1));
+      $steps.attr('hidden', true).eq(current).removeAttr('hidden');
+      $progress
+        .children()
+        .removeClass('active done')
+        .removeAttr('aria-current')
+        .each(function (i) {
+          if (i < current) {
+            $(this).addClass('done');
+          }
+        })
+        .eq(current)
+        .addClass('active')
+        .attr('aria-current', 'step');
+      if (isLast()) {
+        renderReview($form, $steps, goTo);
+      }
+      $prev.prop('hidden', current === 0);
+      $next.prop('hidden', isLast());
+      $submit.prop('hidden', !isLast());
+      $form.trigger('wizard:step', [current]);
+    }
+
+    // Only moves forward once the fields of the current step are valid
+    function next() {
+      var $fields = $steps.eq(current).find('[data-validate]');
+      if (Sadouni.validation && !Sadouni.validation.validateFields($fields)) {
+        $fields.filter('[aria-invalid="true"]').first().trigger('focus');
+        return false;
+      }
+      goTo(current + 1);
+      $steps.eq(current).find('legend').attr('tabindex', -1).trigger('focus');
+      return true;
+    }
+
+    function prev() {
+      goTo(current - 1);
+      $steps.eq(current).find('legend').attr('tabindex', -1).trigger('focus');
+    }
+
+    $next.on('click', next);
+    $prev.on('click', prev);
+    // Enter in a field of an earlier step moves on instead of sending
+    $form.on('submit', function (e) {
+      if (!isLast()) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        next();
+      }
+    });
+    $form.on('booking:confirmed', function () {
+      goTo(0);
+    });
+
+    goTo(0);
+    return {
+      goTo: goTo,
+      next: next,
+      prev: prev,
+      current: function () {
+        return current;
+      },
+    };
+  }
+
+  function formWizard() {
+    $('[data-wizard]').each(function () {
+      var $form = $(this);
+      $form.data('wizard', createWizard($form));
+    });
+  }
+
+  Sadouni.wizard = {
+    create: createWizard,
+  };
+})(jQuery, window);
@@ -0,0 +1,116 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/search-engine.js', 'assets/js/accordion.js'];
+
+// A question of the FAQ; `attributes` replace its class="cs_accordian"
+function question(title, answer, attributes) {
+  return (
+    '<div ' + (attributes || 'class="cs_accordian"') + '><div class="cs_accordian_head"><h2 class="cs_accordian_title">' + title + '</h2>' +
+    '<span class="cs_accordian_toggle"></span></div><div class="cs_accordian_body"><p>' + answer + '</p></div></div>'
+  );
+}
+
+var FAQ =
+  '<div data-accordion>' +
+  question('Faut-il un rendez-vous ?', 'Oui, sauf urgence.', 'class="cs_accordian active"') +
+  question('Quels sont les horaires ?', 'Du lundi au samedi.') +
+  question('Que faire en cas d’urgence ?', 'Appelez la clinique.', 'class="cs_accordian" id="urgence"') +
+  '</div>';
+
+// The FAQ page at `hash`, with the scripts accordion.js needs, started
+// as main.js does
+function page(hash) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr"><body>' + FAQ + '</body></html>', {
+    url: 'https://example.test/faq.html' + (hash || ''),
+    runScripts: 'outside-only',
+  });
+  var window = dom.window;
+  SCRIPTS.forEach(function (file) {
+    window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  window.Sadouni.accordion.init(window.jQuery('.cs_accordian'));
+  return window;
+}
+
+function opened($) {
+  return $('.cs_accordian.active')
+    .map(function () {
+      return this.id;
+    })
+    .get()
+    .join(' ');
+}
+
+test('the titles become buttons for their answers', function () {
+  var $ = page().jQuery;
+  var $button = $('#faq-1 .cs_accordian_button');
+  assert.strictEqual($button.attr('aria-expanded'), 'true');
+  assert.strictEqual($button.attr('aria-controls'), 'faq-1-answer');
+  assert.strictEqual($('#faq-2 .cs_accordian_button').attr('aria-expanded'), 'false');
+  assert.strictEqual($('#urgence .cs_accordian_body').attr('id'), 'urgence-answer');
+});
+
+test('opening a question closes the other and puts it in the address', function () {
+  var window = page();
+  var $ = window.jQuery;
+  $('#faq-2 .cs_accordian_head').trigger('click');
+  assert.strictEqual(opened($), 'faq-2');
+  assert.strictEqual(window.location.hash, '#faq-2');
+});
+
+test('the question of the address is opened, by id or by number', function () {
+  var window = page('#urgence');
+  var $ = window.jQuery;
+  assert.strictEqual(opened($), 'urgence');
+  assert.strictEqual(window.document.activeElement, $('#urgence .cs_accordian_button')[0]);
+  assert.strictEqual(opened(page('#faq-2').jQuery), 'faq-2');
+  assert.strictEqual(opened(page('#%E0%A4%A').jQuery), 'faq-1');
+});
+
+test('the filter ignores accents and case and counts the matches', function () {
+  var window = page();
+  var $ = window.jQuery;
+  var t = window.Sadouni.i18n.t;
+  $('.cs_accordian_tools input').val('CLINIQUÉ').trigger('input');
+  assert.strictEqual($('.cs_accordian:not([hidden])').attr('id'), 'urgence');
+  assert.strictEqual($('.cs_accordian_status').text(), t('faq.match'));
+  $('.cs_accordian_tools input').val('urgence').trigger('input');
+  assert.strictEqual($('.cs_accordian_status').text(), t('faq.matches', { count: 2 }));
+  $('.cs_accordian_tools input').val('horaires lundi').trigger('input');
+  assert.strictEqual($('.cs_accordian_status').text(), t('faq.match'));
+  $('.cs_accordian_tools input').val('àèé').trigger('input');
+  assert.strictEqual($('.cs_accordian_status').text(), t('faq.empty', { query: 'àèé' }));
+  assert.strictEqual($('.cs_accordian_expand').prop('disabled'), true);
+  $('.cs_accordian_tools input').trigger(new window.jQuery.Event('keydown', { key: 'Escape' }));
+  assert.strictEqual($('.cs_accordian[hidden]').length, 0);
+  assert.strictEqual($('.cs_accordian_status').text(), '');
+});
+
+test('a linked question hidden by the filter is shown again', function () {
+  var window = page();
+  var $ = window.jQuery;
+  $('.cs_accordian_tools input').val('horaires').trigger('input');
+  window.location.hash = '#urgence';
+  $(window).trigger('hashchange');
+  assert.strictEqual($('#urgence').prop('hidden'), false);
+  assert.strictEqual($('.cs_accordian_tools input').val(), '');
+  assert.strictEqual(opened($), 'urgence');
+});
+
+test('expand all opens every question shown, then closes them', function () {
+  var $ = page().jQuery;
+  var $expand = $('.cs_accordian_expand');
+  $expand.trigger('click');
+  assert.strictEqual(opened($), 'faq-1 faq-2 urgence');
+  $('#faq-2 .cs_accordian_head').trigger('click');
+  $('#faq-2 .cs_accordian_head').trigger('click');
+  assert.strictEqual(opened($), 'faq-1 faq-2 urgence');
+  $expand.trigger('click');
+  assert.strictEqual(opened($), '');
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/add-to-calendar.js'];
+
+// A page in `lang` holding `body`, with the scripts add-to-calendar.js
+// needs; assets/data/preparation.json has no notes
+function page(body, lang) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="' + (lang || 'fr') + '"><body>' + (body || '') + '</body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  dom.window.jQuery.ajaxTransport('+*', function () {
+    return {
+      send: function (headers, done) {
+        done(200, 'success', { text: '{}' });
+      },
+      abort: function () {},
+    };
+  });
+  return dom.window;
+}
+
+function event(description) {
+  return {
+    uid: 'SDN-240804-ABCD@drsadouni.ma',
+    title: 'Rendez-vous',
+    description: description,
+    location: 'Casablanca',
+    start: new Date(Date.UTC(2026, 10, 2, 10)),
+    end: new Date(Date.UTC(2026, 10, 2, 10, 30)),
+  };
+}
+
+test('ICS lines are folded at 75 octets, never inside a character', function () {
+  var description = 'موعد في العيادة، يرجى الحضور قبل عشر دقائق — préparez vos lunettes 👓 et votre ordonnance. '.repeat(3);
+  var ics = page().Sadouni.addToCalendar.buildIcs(event(description));
+  var lines = ics.split('\r\n');
+  lines.forEach(function (line) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.doesNotMatch(line, /[\ud800-\udbff]$/);
+  });
+  var unfolded = ics.replace(/\r\n /g, '');
+  assert.ok(unfolded.indexOf('DESCRIPTION:' + description.replace(/,/g, '\\,') + '\r\n') !== -1);
+  assert.ok(lines.some(function (line) {
+    return line.charAt(0) === ' ';
+  }));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('clinicTime is the wall clock of Casablanca, on both sides of Ramadan time', function () {
+  var clinicTime = page().Sadouni.addToCalendar.clinicTime;
+  // UTC+1 most of the year, UTC+0 from 15 February to 22 March 2026
+  assert.strictEqual(clinicTime('2026-02-14', '09:00').toISOString(), '2026-02-14T08:00:00.000Z');
+  assert.strictEqual(clinicTime('2026-02-15', '09:00').toISOString(), '2026-02-15T09:00:00.000Z');
+  assert.strictEqual(clinicTime('2026-03-21', '17:40').toISOString(), '2026-03-21T17:40:00.000Z');
+  assert.strictEqual(clinicTime('2026-03-22', '09:00').toISOString(), '2026-03-22T08:00:00.000Z');
+});
+
+test('the .ics Blob URL outlives the click by a few seconds', async function () {
+  var window = page('<form data-booking-form><div class="cs_booking_status"></div></form>');
+  var delays = [];
+  var revoked = [];
+  window.URL.createObjectURL = function () {
+    return 'blob:https://example.test/1';
+  };
+  window.URL.revokeObjectURL = function (url) {
+    revoked.push(url);
+  };
+  var setTimeout = window.setTimeout;
+  window.setTimeout = function (callback, delay) {
+    delays.push(delay);
+    return setTimeout(callback, delay);
+  };
+  await new Promise(function (resolve) {
+    window.jQuery(resolve);
+  });
+  var $ = window.jQuery;
+  $('form').trigger('booking:confirmed', [{ reference: 'SDN-240804-ABCD', date: '2026-11-02', time: '11:00', department: 'general' }]);
+  await new Promise(function (resolve) {
+    setTimeout(resolve, 20);
+  });
+  delays = [];
+  var link = $('.cs_calendar_link[download]')[0];
+  link.addEventListener('click', function (e) {
+    e.preventDefault();
+  });
+  link.click();
+  assert.strictEqual(link.getAttribute('href'), 'blob:https://example.test/1');
+  assert.strictEqual(revoked.length, 0);
+  assert.ok(delays[0] >= 5000, 'revoked after ' + delays[0] + ' ms');
+  window.close();
+});
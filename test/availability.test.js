@@ -0,0 +1,148 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = [
+  'assets/js/jquery-3.7.1.min.js',
+  'assets/js/translations.js',
+  'assets/js/i18n.js',
+  'assets/js/specialties-catalog.js',
+  'assets/js/specialties.js',
+  'assets/js/availability.js',
+];
+
+// A page with the scripts availability.js needs; assets/data/schedule.json
+// is `config`, and datepickers keep the options they are given
+function page(config) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr"><body></body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  var $ = dom.window.jQuery;
+  $.ajaxTransport('+*', function () {
+    return {
+      send: function (headers, done) {
+        done(200, 'success', { text: JSON.stringify(config) });
+      },
+      abort: function () {},
+    };
+  });
+  $.fn.datepicker = function (name, options) {
+    return name === 'option' ? this.data('datepicker-options', options) : this;
+  };
+  return dom.window;
+}
+
+function daysFromToday(days) {
+  var date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+// The first Monday at least a week away
+function nextMonday() {
+  var date = daysFromToday(7);
+  while (date.getDay() !== 1) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+}
+
+function plusDays(date, days) {
+  var next = new Date(date.getTime());
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+// Open 09:00–10:00 on weekdays, closed the Tuesday after `monday` for a
+// holiday and the Wednesday and Thursday for leave
+function config(monday) {
+  var iso = function (date) {
+    return date.getFullYear() + '-' + ('0' + (date.getMonth() + 1)).slice(-2) + '-' + ('0' + date.getDate()).slice(-2);
+  };
+  return {
+    slotMinutes: 20,
+    consultMinutes: { default: 20 },
+    bookingWindowDays: 90,
+    almostFullRatio: 0.6,
+    weekly: { mon: [['09:00', '10:00']], tue: [['09:00', '10:00']], wed: [['09:00', '10:00']], thu: [['09:00', '10:00']], fri: [['09:00', '10:00']], sat: [], sun: [] },
+    holidays: [{ date: iso(plusDays(monday, 1)), label: { fr: 'Fête', en: 'Holiday' } }],
+    leave: [{ from: iso(plusDays(monday, 2)), to: iso(plusDays(monday, 3)), label: { fr: 'Congés' } }],
+  };
+}
+
+function adapter(records) {
+  return {
+    list: function () {
+      return Promise.resolve(records);
+    },
+  };
+}
+
+test('freeSlots leaves out the booked slots, each as long as its consultation', function () {
+  var monday = nextMonday();
+  var schedule = page().Sadouni.availability.createSchedule(config(monday));
+  assert.strictEqual(schedule.freeSlots(monday, 'general', []).join(' '), '09:00 09:20 09:40');
+  assert.strictEqual(schedule.freeSlots(monday, 'general', [{ time: '09:00', department: 'cataract' }]).join(' '), '09:40');
+  assert.strictEqual(schedule.freeSlots(monday, 'cataract', [{ time: '09:40', department: 'general' }]).join(' '), '09:00');
+});
+
+test('freeSlots only offers the slots after now on the same day', function () {
+  var monday = nextMonday();
+  var schedule = page().Sadouni.availability.createSchedule(config(monday));
+  var now = new Date(monday.getTime());
+  now.setHours(9, 30);
+  assert.strictEqual(schedule.freeSlots(monday, 'general', [], now).join(' '), '09:40');
+  assert.strictEqual(schedule.freeSlots(plusDays(monday, 7), 'general', [], now).join(' '), '09:00 09:20 09:40');
+});
+
+test('holidays and leave close the day with their label', function () {
+  var monday = nextMonday();
+  var schedule = page().Sadouni.availability.createSchedule(config(monday));
+  assert.strictEqual(schedule.closure(plusDays(monday, 1)), 'Fête');
+  assert.strictEqual(schedule.closure(plusDays(monday, 3)), 'Congés');
+  assert.strictEqual(schedule.closure(plusDays(monday, 4)), null);
+  assert.strictEqual(schedule.freeSlots(plusDays(monday, 2), 'general', []).length, 0);
+});
+
+test('dayState disables closed, full and out-of-window days', async function () {
+  var monday = nextMonday();
+  var window = page(config(monday));
+  var availability = window.Sadouni.availability;
+  var bookings = [
+    { date: availability.isoDate(monday), time: '09:00', department: 'general' },
+    { date: availability.isoDate(monday), time: '09:40', department: 'general' },
+  ];
+  await availability.bindDatepicker(window.jQuery('<input>'), adapter(bookings));
+  assert.strictEqual(availability.dayState(plusDays(monday, 1)).join('|'), 'false|cs_day_closed|Fête');
+  assert.strictEqual(availability.dayState(plusDays(monday, 2)).join('|'), 'false|cs_day_closed|Congés');
+  assert.strictEqual(availability.dayState(plusDays(monday, 5))[1], 'cs_day_closed');
+  assert.strictEqual(availability.dayState(plusDays(monday, 120))[1], 'cs_day_closed');
+  assert.strictEqual(availability.dayState(plusDays(monday, 4)).join('|'), 'true|');
+  assert.strictEqual(availability.dayState(monday, 'general')[1], 'cs_day_almost_full');
+  assert.strictEqual(availability.dayState(monday, 'cataract')[1], 'cs_day_full');
+});
+
+test('the datepicker draws the days for the department of its form', async function () {
+  var monday = nextMonday();
+  var window = page(config(monday));
+  var $ = window.jQuery;
+  var availability = window.Sadouni.availability;
+  var $form = $(
+    '<form><select name="department"><option value="general">G</option><option value="cataract">C</option></select><input></form>',
+  ).appendTo(window.document.body);
+  var $input = $form.find('input');
+  await availability.bindDatepicker($input, adapter([{ date: availability.isoDate(monday), time: '09:20', department: 'general' }]));
+  var beforeShowDay = $input.data('datepicker-options').beforeShowDay;
+  assert.strictEqual(beforeShowDay(monday).join('|'), 'true|');
+  $form.find('select').val('cataract');
+  assert.strictEqual(beforeShowDay(monday)[1], 'cs_day_full');
+});
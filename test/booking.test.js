@@ -0,0 +1,122 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/booking.js'];
+
+// A page holding `body`, with the scripts booking.js needs; the listed
+// appointments (assets/data/appointments.json) are `seed`
+function page(body, seed) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr"><body>' + (body || '') + '</body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  dom.window.jQuery.ajaxTransport('+*', function () {
+    return {
+      send: function (headers, done) {
+        done(200, 'success', { text: JSON.stringify(seed || []) });
+      },
+      abort: function () {},
+    };
+  });
+  return dom.window;
+}
+
+function ready(window) {
+  return new Promise(function (resolve) {
+    window.jQuery(resolve);
+  });
+}
+
+test('createAdapter builds a registered adapter with its options', function () {
+  var booking = page().Sadouni.booking;
+  booking.registerAdapter('memory', function (options) {
+    return { name: 'memory', endpoint: options.endpoint };
+  });
+  var adapter = booking.createAdapter('memory', { endpoint: 'https://api.example.test' });
+  assert.strictEqual(adapter.name, 'memory');
+  assert.strictEqual(adapter.endpoint, 'https://api.example.test');
+});
+
+test('an unknown or misconfigured adapter fails every call', async function () {
+  var booking = page().Sadouni.booking;
+  var unknown = booking.createAdapter('nowhere');
+  await assert.rejects(unknown.create({}), /Unknown booking adapter "nowhere"/);
+  await assert.rejects(unknown.list({}), /Unknown booking adapter/);
+  var http = booking.createAdapter('http', {});
+  await assert.rejects(http.find('SDN-240101-ABCD', '0612345678'), /needs an endpoint/);
+});
+
+test('createReference is SDN-YYMMDD-XXXX without 0, O, 1 or I', function () {
+  var booking = page().Sadouni.booking;
+  for (var i = 0; i < 50; i++) {
+    assert.match(booking.createReference(new Date(2024, 7, 4)), /^SDN-240804-[A-HJ-NP-Z2-9]{4}$/);
+  }
+});
+
+test('a new booking never takes the reference of another one', async function () {
+  var taken = page().Sadouni.booking.createReference().slice(0, -4) + 'AAAA';
+  var window = page('', [{ reference: taken, phone: '0612345678', status: 'confirmed' }]);
+  // The first draw gives SDN-…-AAAA, the next ones SDN-…-BBBB
+  var draws = 0;
+  window.Math.random = function () {
+    return draws++ < 4 ? 0 : 1 / 32;
+  };
+  var record = await window.Sadouni.booking.createAdapter('local').create({ name: 'Test', phone: '0600000000' });
+  assert.strictEqual(record.reference, taken.slice(0, -4) + 'BBBB');
+  assert.strictEqual(record.status, 'confirmed');
+});
+
+test('samePhone compares the last nine digits', function () {
+  var samePhone = page().Sadouni.booking.samePhone;
+  assert.strictEqual(samePhone('+212 6 12 34 56 78', '0612-345678'), true);
+  assert.strictEqual(samePhone('00212612345678', '612345678'), true);
+  assert.strictEqual(samePhone('0612345678', '0612345679'), false);
+  assert.strictEqual(samePhone('', ''), false);
+  assert.strictEqual(samePhone(null, undefined), false);
+});
+
+test('the local adapter finds, reschedules and cancels with the right phone', async function () {
+  var seed = [{ reference: 'SDN-240804-ABCD', phone: '0612345678', date: '2024-08-04', time: '09:00', status: 'confirmed' }];
+  var adapter = page('', seed).Sadouni.booking.createAdapter('local');
+  assert.strictEqual(await adapter.find('sdn-240804-abcd', '+212612345678').then(Boolean), true);
+  assert.strictEqual(await adapter.find('SDN-240804-ABCD', '0600000000'), null);
+  var moved = await adapter.reschedule('SDN-240804-ABCD', '0612345678', { date: '2024-08-05', time: '10:00' });
+  assert.strictEqual(moved.date + ' ' + moved.time, '2024-08-05 10:00');
+  await assert.rejects(adapter.cancel('SDN-240804-ABCD', '0600000000'), /Booking not found/);
+  assert.strictEqual((await adapter.cancel('SDN-240804-ABCD', '0612345678')).status, 'cancelled');
+  assert.strictEqual((await adapter.list({ status: 'cancelled' })).length, 1);
+});
+
+test('the form shows the error and frees the button when a confirmation listener throws', async function () {
+  var window = page('<form data-booking-form data-booking-adapter="memory"><input name="name" value="Test"><button type="submit">OK</button></form>');
+  window.Sadouni.booking.registerAdapter('memory', function () {
+    return {
+      create: function (booking) {
+        return Promise.resolve(window.jQuery.extend({ reference: 'SDN-240804-ABCD' }, booking));
+      },
+    };
+  });
+  await ready(window);
+  var $ = window.jQuery;
+  var $form = $('form');
+  $form.on('booking:confirmed', function () {
+    throw new Error('listener');
+  });
+  $form.trigger('submit');
+  assert.strictEqual($form.find('button').prop('disabled'), true);
+  // The adapter answers at once: the chain settles within a turn
+  await new Promise(function (resolve) {
+    setTimeout(resolve, 20);
+  });
+  assert.strictEqual($form.find('button').prop('disabled'), false);
+  assert.strictEqual($form.find('.cs_booking_status').hasClass('cs_booking_error'), true);
+  assert.strictEqual($form.find('.cs_booking_status').text(), window.Sadouni.i18n.t('booking.failed'));
+});
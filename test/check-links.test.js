@@ -0,0 +1,78 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var SCRIPT = path.join(__dirname, '..', 'tools', 'check-links.js');
+
+// A site in a temporary directory made of `files` ({ path: content }),
+// checked by the script as a deploy would run it
+function check(files) {
+  var root = fs.mkdtempSync(path.join(os.tmpdir(), 'check-links-'));
+  try {
+    Object.keys(files).forEach(function (name) {
+      var file = path.join(root, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, files[name]);
+    });
+    return childProcess.spawnSync(process.execPath, [SCRIPT, root], { encoding: 'utf8' });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+function html(body) {
+  return '<!DOCTYPE html><html><head><title>Page</title></head><body>' + body + '</body></html>';
+}
+
+test('a clean site exits 0', function () {
+  var result = check({
+    'index.html': html('<a href="contact.html#form">Contact</a><img src="assets/logo.svg">'),
+    'contact.html': html('<form id="form"></form>'),
+    'assets/logo.svg': '<svg></svg>',
+  });
+  assert.strictEqual(result.status, 0);
+  assert.match(result.stdout, /No broken links/);
+});
+
+test('a missing page, asset or anchor exits 1', function () {
+  var result = check({
+    'index.html': html('<a href="about.html">About</a>\n<img src="logo.png">\n<a href="#top">Top</a>'),
+  });
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stdout, /index\.html:1 {2}missing page {2}about\.html/);
+  assert.match(result.stdout, /index\.html:2 {2}missing asset {2}logo\.png/);
+  assert.match(result.stdout, /index\.html:3 {2}missing anchor {2}#top/);
+  assert.match(result.stderr, /3 problems found/);
+});
+
+test('links of translated pages are resolved from their <base href>', function () {
+  var result = check({
+    'ar/index.html': '<html><head><base href="../"><title>Page</title></head><body><a href="contact.html">Contact</a></body></html>',
+    'contact.html': html(''),
+  });
+  assert.strictEqual(result.status, 0);
+});
+
+test('a known missing file is listed but does not fail the check', function () {
+  var result = check({
+    'index.html': html('<video><source src="assets/video/eye-surgery.mp4"></video>'),
+  });
+  assert.strictEqual(result.status, 0);
+  assert.match(result.stdout, /index\.html:1 {2}known missing {2}assets\/video\/eye-surgery\.mp4/);
+  assert.match(result.stdout, /No broken links \(1 known missing\)/);
+});
+
+test('a saved 404 page fails the check', function () {
+  var result = check({
+    'index.html': html('<a href="old.html">Old</a>'),
+    'old.html': '<html><head><title>404: NOT_FOUND</title></head></html>',
+  });
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stdout, /old\.html {2}saved 404/);
+  assert.match(result.stdout, /index\.html:1 {2}saved 404 {2}old\.html/);
+});
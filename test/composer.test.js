@@ -0,0 +1,97 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = [
+  'assets/js/jquery-3.7.1.min.js',
+  'assets/js/translations.js',
+  'assets/js/i18n.js',
+  'assets/js/locale.js',
+  'assets/js/specialties-catalog.js',
+  'assets/js/specialties.js',
+  'assets/js/site-config.js',
+  'assets/js/composer.js',
+];
+
+var config = require('../assets/js/site-config.js');
+
+// A page in `lang` holding `body`, with the scripts composer.js needs
+function page(body, lang) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="' + (lang || 'fr') + '"><body>' + (body || '') + '</body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  return dom.window;
+}
+
+function ready(window) {
+  return new Promise(function (resolve) {
+    window.jQuery(resolve);
+  });
+}
+
+var BOOKING = { name: 'Amina', phone: '0612345678', department: 'cataract', date: '2026-11-02', time: '10:00', message: '' };
+
+test('render leaves out the lines whose placeholders are all empty', function () {
+  var composer = page().Sadouni.composer;
+  assert.strictEqual(composer.render(['Nom : {name}', 'Message : {message}', 'Fin'], { name: 'Amina' }), 'Nom : Amina\nFin');
+  assert.strictEqual(composer.render('{name} ({phone})', { name: 'Amina' }), 'Amina ()');
+});
+
+test('dates and departments are written for people', function () {
+  var window = page();
+  var body = window.Sadouni.composer.compose('booking', BOOKING).body;
+  assert.match(body, /^Date : 02\/11\/2026$/m);
+  assert.match(body, new RegExp('^Service : ' + window.Sadouni.specialties.label('cataract') + '$', 'm'));
+  assert.doesNotMatch(body, /Message :|Référence :/);
+});
+
+test('each channel links to the clinic with the message', function () {
+  var composer = page().Sadouni.composer;
+  var message = composer.compose('booking', BOOKING);
+  assert.strictEqual(composer.url('whatsapp', 'booking', BOOKING), 'https://wa.me/' + config.clinic.whatsapp + '?text=' + encodeURIComponent(message.body));
+  assert.strictEqual(composer.url('sms', 'booking', BOOKING), 'sms:' + config.clinic.phone + '?body=' + encodeURIComponent(message.body));
+  assert.strictEqual(
+    composer.url('email', 'booking', BOOKING),
+    'mailto:' + config.clinic.email + '?subject=' + encodeURIComponent('Demande de rendez-vous – Amina') + '&body=' + encodeURIComponent(message.body),
+  );
+});
+
+test('an unknown channel falls back to the preferred one', function () {
+  var composer = page().Sadouni.composer;
+  assert.strictEqual(composer.resolveChannel('fax'), config.channels.preferred);
+  assert.strictEqual(composer.resolveChannel('sms'), 'sms');
+  assert.ok(composer.url('fax', 'booking', BOOKING).startsWith('https://wa.me/'));
+});
+
+test('the message is in the language asked for, else the page’s', function () {
+  var composer = page('', 'en').Sadouni.composer;
+  assert.strictEqual(composer.compose('booking', BOOKING).body, composer.compose('booking', BOOKING, 'en').body);
+  assert.notStrictEqual(composer.compose('booking', BOOKING, 'fr').body, composer.compose('booking', BOOKING, 'en').body);
+  assert.throws(function () {
+    composer.compose('invoice', BOOKING);
+  }, /Unknown message template "invoice"/);
+});
+
+test('the channel picker and contact links follow the site config', async function () {
+  var window = page('<select name="channel" data-channel-picker></select><a data-contact="phone">x</a><span data-contact="address"></span>');
+  await ready(window);
+  var $ = window.jQuery;
+  var $options = $('[data-channel-picker] option');
+  assert.strictEqual($options.length, config.channels.available.length);
+  assert.strictEqual($('[data-channel-picker]').val(), config.channels.preferred);
+  var $default = $options.filter(function () {
+    return this.defaultSelected;
+  });
+  assert.strictEqual($default.val(), config.channels.preferred);
+  assert.strictEqual($('[data-contact="phone"]').attr('href'), 'tel:' + config.clinic.phone);
+  assert.strictEqual($('[data-contact="phone"]').text(), config.clinic.phoneDisplay);
+  assert.match($('[data-contact="address"]').text(), /Casablanca/);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/locale.js', 'assets/js/counters.js'];
+
+// A page holding `body`, with the scripts counters.js needs; `setup` runs
+// before them, to give the window an Odometer or an IntersectionObserver
+function page(body, setup) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr"><body>' + (body || '') + '</body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  if (setup) {
+    setup(dom.window);
+  }
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  return dom.window;
+}
+
+// The options of a counter holding `attributes`
+function options(attributes) {
+  var window = page();
+  return window.Sadouni.counters.options(window.jQuery('<span>').attr(attributes || {}));
+}
+
+test('a counter without attributes gets every default', function () {
+  assert.deepStrictEqual(Object.assign({}, options()), { countTo: 0, prefix: '', suffix: '', duration: 2000, easing: 'ease' });
+});
+
+test('a value that does not fit falls back to its default', function () {
+  var found = options({ 'data-count-to': '3 000', 'data-duration': '-5', 'data-easing': 'bounce' });
+  assert.strictEqual(found.countTo, 0);
+  assert.strictEqual(found.duration, 2000);
+  assert.strictEqual(found.easing, 'ease');
+  assert.strictEqual(options({ 'data-easing': 'cubic-bezier(0.4, x, 0.2, 1)' }).easing, 'ease');
+});
+
+test('values that fit are read, the affixes as written', function () {
+  var found = options({ 'data-count-to': ' 3000 ', 'data-suffix': ' ans', 'data-easing': 'cubic-bezier(0.4, -0.2, 0.2, 1)' });
+  assert.strictEqual(found.countTo, 3000);
+  assert.strictEqual(found.suffix, ' ans');
+  assert.strictEqual(found.easing, 'cubic-bezier(0.4, -0.2, 0.2, 1)');
+});
+
+test('without Odometer the final figure is shown, and read once', function () {
+  var window = page('<p><span class="odometer" data-count-to="3000" data-prefix="+"></span></p>');
+  var $ = window.jQuery;
+  window.Sadouni.counters.init($('.odometer'));
+  var figure = window.Sadouni.locale.formatNumber(3000);
+  assert.strictEqual($('.odometer').text(), figure);
+  assert.strictEqual($('.odometer').attr('aria-hidden'), 'true');
+  assert.strictEqual($('.cs_counter_prefix').attr('aria-hidden'), 'true');
+  assert.strictEqual($('p .visually-hidden').text(), '+' + figure);
+});
+
+test('a counter rolls up once half of it is on screen', function () {
+  var observers = [];
+  var updates = [];
+  var window = page('<span class="odometer" data-count-to="12" data-duration="900"></span>', function (window) {
+    window.Odometer = function (settings) {
+      this.update = function (value) {
+        updates.push(value);
+      };
+      assert.strictEqual(settings.duration, 900);
+    };
+    window.Odometer.options = {};
+    window.IntersectionObserver = function (callback, settings) {
+      var observer = { callback: callback, threshold: settings.threshold, watched: [] };
+      observers.push(observer);
+      this.observe = function (element) {
+        observer.watched.push(element);
+      };
+      this.unobserve = function () {};
+      this.disconnect = function () {};
+    };
+  });
+  var $ = window.jQuery;
+  assert.strictEqual(window.Odometer.options.auto, false);
+  window.Sadouni.counters.init($('.odometer'));
+  assert.strictEqual($('.odometer')[0].style.getPropertyValue('--counter-duration'), '900ms');
+  assert.strictEqual(observers[0].threshold, 0.5);
+  observers[0].callback([{ target: observers[0].watched[0], isIntersecting: false }]);
+  assert.strictEqual(updates.length, 0);
+  observers[0].callback([{ target: observers[0].watched[0], isIntersecting: true }]);
+  observers[0].callback([{ target: observers[0].watched[0], isIntersecting: true }]);
+  assert.deepStrictEqual(updates, [12]);
+});
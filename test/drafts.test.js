@@ -0,0 +1,111 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/locale.js', 'assets/js/drafts.js'];
+
+var FORM =
+  '<form data-draft="contact" data-draft-ttl="2">' +
+  '<input name="name"><textarea name="message"></textarea>' +
+  '<select name="channel"><option value="whatsapp">WhatsApp</option><option value="email" selected>E-mail</option></select>' +
+  '<input name="phone" data-draft-ignore>' +
+  '</form>';
+
+// A page holding `body`, with the scripts drafts.js needs and `stored`
+// ({ key: value }) in localStorage beforehand
+function page(body, stored) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr"><body>' + (body || FORM) + '</body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  Object.keys(stored || {}).forEach(function (key) {
+    dom.window.localStorage.setItem(key, JSON.stringify(stored[key]));
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  return dom.window;
+}
+
+function ready(window) {
+  return new Promise(function (resolve) {
+    window.jQuery(resolve);
+  });
+}
+
+// Past the autosave delay
+function saved() {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, 500);
+  });
+}
+
+function draft(fields, expiresIn) {
+  return { savedAt: Date.now() - 60000, expiresAt: Date.now() + expiresIn, fields: fields };
+}
+
+test('a form left at its default values is no draft', async function () {
+  var window = page();
+  await ready(window);
+  window.jQuery('[name="channel"]').trigger('change');
+  window.jQuery('[name="name"]').val('  ').trigger('input');
+  await saved();
+  assert.strictEqual(window.localStorage.getItem('sadouni_draft_contact'), null);
+});
+
+test('a changed field saves the draft for its time to live, ignored fields aside', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  $('[name="phone"]').val('0612345678');
+  $('[name="channel"]').val('whatsapp').trigger('change');
+  await saved();
+  var stored = window.Sadouni.drafts.read('contact');
+  assert.strictEqual(stored.fields.channel, 'whatsapp');
+  assert.strictEqual(stored.fields.phone, undefined);
+  assert.strictEqual(stored.expiresAt - stored.savedAt, 2 * 3600 * 1000);
+});
+
+test('an expired draft is dropped', function () {
+  var window = page('', { sadouni_draft_contact: draft({ name: 'Amina' }, -1000) });
+  assert.strictEqual(window.Sadouni.drafts.read('contact'), null);
+  assert.strictEqual(window.localStorage.getItem('sadouni_draft_contact'), null);
+});
+
+test('the banner restores the draft', async function () {
+  var window = page('', { sadouni_draft_contact: draft({ name: 'Amina', message: 'Bonjour', channel: 'whatsapp' }, 60000) });
+  await ready(window);
+  var $ = window.jQuery;
+  assert.strictEqual($('.cs_draft_banner').length, 1);
+  $('.cs_draft_restore').trigger('click');
+  assert.strictEqual($('.cs_draft_banner').length, 0);
+  assert.strictEqual($('[name="name"]').val() + ' ' + $('[name="message"]').val() + ' ' + $('[name="channel"]').val(), 'Amina Bonjour whatsapp');
+});
+
+test('discarding the banner clears the draft', async function () {
+  var window = page('', { sadouni_draft_contact: draft({ name: 'Amina' }, 60000) });
+  await ready(window);
+  window.jQuery('.cs_draft_discard').trigger('click');
+  assert.strictEqual(window.localStorage.getItem('sadouni_draft_contact'), null);
+  assert.strictEqual(window.jQuery('[name="name"]').val(), '');
+});
+
+test('the draft is cleared once the form is sent', async function () {
+  var stored = { sadouni_draft_contact: draft({ name: 'Amina' }, 60000), sadouni_draft_booking: draft({ name: 'Amina' }, 60000) };
+  var window = page(FORM + '<form data-draft="booking" data-booking-form><input name="name"></form>', stored);
+  await ready(window);
+  var $ = window.jQuery;
+  $('form').on('submit', function (e) {
+    e.preventDefault();
+  });
+  $('[data-draft="contact"]').trigger('submit');
+  $('[data-draft="booking"]').trigger('submit');
+  assert.strictEqual(window.localStorage.getItem('sadouni_draft_contact'), null);
+  assert.notStrictEqual(window.localStorage.getItem('sadouni_draft_booking'), null);
+  $('[data-draft="booking"]').trigger('booking:confirmed', [{}]);
+  assert.strictEqual(window.localStorage.getItem('sadouni_draft_booking'), null);
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var feed = require('../tools/lib/feed.js');
+
+function sample() {
+  return {
+    title: 'Le blog du Dr Sadouni',
+    description: 'Conseils & actualités',
+    lang: 'fr',
+    home: 'https://drsadouni.ma/blog.html',
+    self: {
+      rss: 'https://drsadouni.ma/blog/feed.xml',
+      atom: 'https://drsadouni.ma/blog/atom.xml',
+      json: 'https://drsadouni.ma/blog/feed.json',
+    },
+    author: { name: 'Clinique Dr Sadouni', url: 'https://drsadouni.ma/' },
+    updated: '2024-11-05',
+    items: [
+      {
+        id: 'https://drsadouni.ma/blog/premier-article.html',
+        url: 'https://drsadouni.ma/blog/premier-article.html',
+        title: 'Le premier article',
+        summary: 'Résumé & suite',
+        content: '<p>Paragraphe.</p>',
+        date: '2024-11-05',
+        author: 'La rédaction',
+        categories: ['Technologie', 'Médical'],
+        image: { url: 'https://drsadouni.ma/assets/img/post_15.jpeg', type: 'image/jpeg', length: 1234 },
+      },
+      {
+        id: 'https://drsadouni.ma/blog/second-article.html',
+        url: 'https://drsadouni.ma/blog/second-article.html',
+        title: 'Le second article',
+        summary: 'Résumé',
+        content: '<p>Texte</p>',
+        date: '2024-10-01',
+        categories: [],
+      },
+    ],
+  };
+}
+
+test('RSS has the channel, the items and their escaped content', function () {
+  var xml = feed.rss(sample());
+  assert.match(xml, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<rss version="2\.0"/);
+  assert.match(xml, /<title>Le blog du Dr Sadouni<\/title>/);
+  assert.match(xml, /<description>Conseils &amp; actualités<\/description>/);
+  assert.match(xml, /<lastBuildDate>Tue, 05 Nov 2024 00:00:00 GMT<\/lastBuildDate>/);
+  assert.match(xml, /<atom:link href="https:\/\/drsadouni\.ma\/blog\/feed\.xml" rel="self" type="application\/rss\+xml"\/>/);
+  assert.strictEqual(xml.split('<item>').length - 1, 2);
+  assert.match(xml, /<content:encoded>&lt;p&gt;Paragraphe\.&lt;\/p&gt;<\/content:encoded>/);
+  assert.match(xml, /<category>Technologie<\/category>\n {6}<category>Médical<\/category>/);
+  assert.match(xml, /<enclosure url="https:\/\/drsadouni\.ma\/assets\/img\/post_15\.jpeg" length="1234" type="image\/jpeg"\/>/);
+  assert.ok(xml.endsWith('</rss>\n'));
+});
+
+test('RSS and Atom leave out what an item does not have', function () {
+  var second = function (xml, tag) {
+    return xml.split('<' + tag + '>')[2];
+  };
+  assert.doesNotMatch(second(feed.rss(sample()), 'item'), /dc:creator|enclosure|<category>/);
+  assert.doesNotMatch(second(feed.atom(sample()), 'entry'), /<author>|rel="enclosure"|<category/);
+});
+
+test('Atom dates are midnight UTC', function () {
+  var xml = feed.atom(sample());
+  assert.match(xml, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom" xml:lang="fr">/);
+  assert.match(xml, /<updated>2024-11-05T00:00:00Z<\/updated>/);
+  assert.match(xml, /<published>2024-10-01T00:00:00Z<\/published>/);
+  assert.match(xml, /<category term="Médical"\/>/);
+  assert.match(xml, /<content type="html">&lt;p&gt;Texte&lt;\/p&gt;<\/content>/);
+  assert.ok(xml.endsWith('</feed>\n'));
+});
+
+test('JSON Feed 1.1', function () {
+  var parsed = JSON.parse(feed.json(sample()));
+  assert.strictEqual(parsed.version, 'https://jsonfeed.org/version/1.1');
+  assert.strictEqual(parsed.feed_url, 'https://drsadouni.ma/blog/feed.json');
+  assert.deepStrictEqual(parsed.authors, [{ name: 'Clinique Dr Sadouni', url: 'https://drsadouni.ma/' }]);
+  assert.deepStrictEqual(parsed.items[0], {
+    id: 'https://drsadouni.ma/blog/premier-article.html',
+    url: 'https://drsadouni.ma/blog/premier-article.html',
+    title: 'Le premier article',
+    summary: 'Résumé & suite',
+    content_html: '<p>Paragraphe.</p>',
+    date_published: '2024-11-05T00:00:00Z',
+    tags: ['Technologie', 'Médical'],
+    image: 'https://drsadouni.ma/assets/img/post_15.jpeg',
+    authors: [{ name: 'La rédaction' }],
+  });
+  assert.strictEqual(parsed.items[1].image, undefined);
+  assert.strictEqual(parsed.items[1].authors, undefined);
+});
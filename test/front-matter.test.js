@@ -0,0 +1,83 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var frontMatter = require('../tools/lib/front-matter.js');
+
+test('splits the data from the body', function () {
+  var parsed = frontMatter.parse('---\ntitle: Cataracte\n---\n<p>Texte</p>\n');
+  assert.deepStrictEqual(parsed.data, { title: 'Cataracte' });
+  assert.strictEqual(parsed.body, '<p>Texte</p>\n');
+});
+
+test('gives empty data to a file without front matter', function () {
+  assert.deepStrictEqual(frontMatter.parse('<p>Texte</p>'), { data: {}, body: '<p>Texte</p>' });
+});
+
+test('reads strings, quoted strings, booleans, numbers and nulls', function () {
+  var data = frontMatter.parse(
+    [
+      '---',
+      'title: Gérer mon rendez-vous - Dr. Choaib Sadouni',
+      'quoted: "Comment : 7 étapes"',
+      "single: 'l''œil'",
+      'schema: true',
+      'newsletter: false',
+      'ratio: 0.8',
+      'empty:',
+      'tilde: ~',
+      '---',
+      '',
+    ].join('\n'),
+  ).data;
+  assert.deepStrictEqual(data, {
+    title: 'Gérer mon rendez-vous - Dr. Choaib Sadouni',
+    quoted: 'Comment : 7 étapes',
+    single: "l'œil",
+    schema: true,
+    newsletter: false,
+    ratio: 0.8,
+    empty: null,
+    tilde: null,
+  });
+});
+
+test('reads lists of strings and lists of maps', function () {
+  var data = frontMatter.parse(
+    [
+      '---',
+      'scripts:',
+      '  - assets/js/booking.js',
+      '  - assets/js/slots.js',
+      '',
+      'faq:',
+      '  - q: Combien de temps dure l’intervention ?',
+      '    a: Une quinzaine de minutes.',
+      '  - q: Est-ce douloureux ?',
+      '    a: Non.',
+      '---',
+      '',
+    ].join('\n'),
+  ).data;
+  assert.deepStrictEqual(data.scripts, ['assets/js/booking.js', 'assets/js/slots.js']);
+  assert.deepStrictEqual(data.faq, [
+    { q: 'Combien de temps dure l’intervention ?', a: 'Une quinzaine de minutes.' },
+    { q: 'Est-ce douloureux ?', a: 'Non.' },
+  ]);
+});
+
+test('ignores comments and reads Windows line endings', function () {
+  var parsed = frontMatter.parse('---\r\n# the page\r\ntitle: Blog\r\n---\r\nBody');
+  assert.deepStrictEqual(parsed.data, { title: 'Blog' });
+  assert.strictEqual(parsed.body, 'Body');
+});
+
+test('names the file and the front matter line of a mistake', function () {
+  assert.throws(function () {
+    frontMatter.parse('---\ntitle: Blog\n  oops: indented\n---\n', 'src/pages/blog.html');
+  }, /^Error: src\/pages\/blog\.html: front matter line 2: unexpected indentation$/);
+  assert.throws(function () {
+    frontMatter.parse('---\nnot a pair\n---\n', 'blog.html');
+  }, /front matter line 1: expected "key: value"/);
+});
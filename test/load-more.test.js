@@ -0,0 +1,103 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var jsdom = require('jsdom');
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/load-more.js'];
+
+// Page `number` of a listing of two, as the build writes it
+function listing(number) {
+  var next = number < 2 ? '<a href="blog/page/' + (number + 1) + '.html" rel="next">Suivant</a>' : '';
+  return (
+    '<ul data-load-more-list><li><a href="blog/post-' + number + '.html">Post ' + number + '</a></li></ul>' +
+    '<nav data-pagination>' + next + '</nav>' +
+    '<div data-load-more hidden><button type="button"><span class="cs_btn_text"></span></button><p data-load-more-status></p></div>'
+  );
+}
+
+// The first page of the listing, whose requests get the second one;
+// `reloads` counts the reloads the page asks for
+function page() {
+  var virtualConsole = new jsdom.VirtualConsole();
+  var dom = new jsdom.JSDOM('<!DOCTYPE html><html lang="fr"><head></head><body>' + listing(1) + '</body></html>', {
+    url: 'https://example.test/blog.html',
+    runScripts: 'outside-only',
+    virtualConsole: virtualConsole,
+  });
+  var window = dom.window;
+  window.reloads = 0;
+  // jsdom cannot navigate: a reload is reported as not implemented
+  virtualConsole.on('jsdomError', function (error) {
+    if (/navigation/.test(error.message)) {
+      window.reloads++;
+    }
+  });
+  SCRIPTS.forEach(function (file) {
+    window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  window.jQuery.ajaxTransport('+*', function () {
+    return {
+      send: function (headers, done) {
+        done(200, 'success', { text: '<html><body>' + listing(2) + '</body></html>' });
+      },
+      abort: function () {},
+    };
+  });
+  return window;
+}
+
+function ready(window) {
+  return new Promise(function (resolve) {
+    window.jQuery(resolve);
+  });
+}
+
+function loaded(window) {
+  return new Promise(function (resolve) {
+    window.jQuery(window.document).one('ajaxComplete', function () {
+      setTimeout(resolve);
+    });
+  });
+}
+
+function popstate(window, state) {
+  window.dispatchEvent(new window.PopStateEvent('popstate', { state: state }));
+}
+
+test('the button appends the next page and moves the address to it', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  assert.strictEqual($('[data-load-more]').prop('hidden'), false);
+  var done = loaded(window);
+  $('[data-load-more] button').trigger('click');
+  await done;
+  assert.strictEqual($('[data-load-more-list] li').length, 2);
+  assert.strictEqual(window.location.pathname, '/blog/page/2.html');
+  assert.strictEqual(window.history.state.loadMore, true);
+  assert.strictEqual($('[data-load-more]').prop('hidden'), true);
+});
+
+test('back to an earlier page of the listing reloads it', async function () {
+  var window = page();
+  await ready(window);
+  var done = loaded(window);
+  window.jQuery('[data-load-more] button').trigger('click');
+  await done;
+  window.history.replaceState(null, '', '/blog.html');
+  popstate(window, null);
+  assert.strictEqual(window.reloads, 1);
+});
+
+test('a #fragment or another script’s entry does not reload the page', async function () {
+  var window = page();
+  await ready(window);
+  window.history.pushState(null, '', '#post-1');
+  popstate(window, null);
+  window.history.pushState({ other: true }, '', '/blog.html?q=cataracte');
+  popstate(window, { other: true });
+  assert.strictEqual(window.reloads, 0);
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var locale = require('../assets/js/locale.js');
+
+// Intl may put direction marks around the separators of Arabic dates
+function withoutMarks(text) {
+  return text.replace(/[\u061c\u200e\u200f]/g, '');
+}
+
+test('dates in each language, French by default', function () {
+  assert.strictEqual(locale.formatDate('2024-08-04'), '4 août 2024');
+  assert.strictEqual(locale.formatDate('2024-08-04', 'en'), '4 August 2024');
+  assert.strictEqual(locale.formatDate('2024-08-04', 'ar'), '4 غشت 2024');
+  assert.strictEqual(locale.formatDate('2024-08-04', 'fr', 'month'), 'août 2024');
+  assert.strictEqual(withoutMarks(locale.formatDate('2024-08-04', 'ar', 'numeric')), '04/08/2024');
+});
+
+test('a "YYYY-MM-DD" date is a local day, whatever the time zone', function () {
+  assert.strictEqual(locale.formatDate('2024-01-01', 'en'), '1 January 2024');
+  assert.strictEqual(locale.formatDate(new Date(2024, 11, 31), 'en'), '31 December 2024');
+});
+
+test('an unknown language falls back to French', function () {
+  assert.strictEqual(locale.formatDate('2024-08-04', 'xx'), '4 août 2024');
+});
+
+test('unreadable dates and times come back as they were given', function () {
+  assert.strictEqual(locale.formatDate('bientôt'), 'bientôt');
+  assert.strictEqual(locale.formatDate(null), '');
+  assert.strictEqual(locale.formatTime('midi'), 'midi');
+  assert.strictEqual(locale.formatTime(undefined), '');
+});
+
+test('times are on a 24-hour clock in every language', function () {
+  assert.strictEqual(locale.formatTime('9:30'), '09:30');
+  assert.strictEqual(locale.formatTime('14:05', 'en'), '14:05');
+  assert.strictEqual(locale.formatTime(new Date(2024, 0, 1, 17, 0), 'ar'), '17:00');
+});
+
+test('numbers get the separators of the language', function () {
+  // French groups thousands with a narrow no-break space
+  assert.strictEqual(locale.formatNumber(3000, 'fr'), '3\u202f000');
+  assert.strictEqual(locale.formatNumber(3000, 'en'), '3,000');
+  assert.strictEqual(locale.odometerFormat('en'), '(,ddd)');
+});
+
+test('the datepicker settings follow the language', function () {
+  var fr = locale.datepicker('fr');
+  var ar = locale.datepicker('ar');
+  assert.strictEqual(locale.dateFormat('fr'), 'dd/mm/yy');
+  assert.strictEqual(fr.firstDay, 1);
+  assert.strictEqual(fr.monthNames[7], 'août');
+  assert.strictEqual(fr.dayNames.length, 7);
+  assert.strictEqual(ar.isRTL, true);
+  assert.strictEqual(ar.firstDay, 1);
+});
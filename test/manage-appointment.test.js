@@ -0,0 +1,149 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = [
+  'assets/js/jquery-3.7.1.min.js',
+  'assets/js/translations.js',
+  'assets/js/i18n.js',
+  'assets/js/locale.js',
+  'assets/js/booking.js',
+  'assets/js/manage-appointment.js',
+];
+
+var BODY =
+  '<form data-manage-lookup data-booking-adapter="memory"><input name="reference"><input name="phone"><div class="cs_booking_status"></div></form>' +
+  '<div data-manage-details hidden><div class="cs_manage_summary"></div>' +
+  '<div data-manage-actions><button type="button" data-manage-reschedule-open></button><button type="button" data-manage-cancel></button></div>' +
+  '<div class="cs_booking_status"></div></div>' +
+  '<form data-manage-reschedule hidden><input type="hidden" name="department"><input name="date" class="hasDatepicker"><select name="time"><option value="10:00">10:00</option></select></form>';
+
+var RECORD = { reference: 'SDN-261102-ABCD', phone: '+212612345678', name: 'Amina', department: 'cataract', date: '2026-11-02', time: '09:00', status: 'confirmed' };
+
+// The manage page at `search`, its bookings kept by a "memory" adapter;
+// a datepicker's date is its data('date')
+function page(search) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr"><body>' + BODY + '</body></html>', {
+    url: 'https://example.test/gerer-rendez-vous.html' + (search || ''),
+    runScripts: 'outside-only',
+  });
+  var window = dom.window;
+  SCRIPTS.forEach(function (file) {
+    window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  var $ = window.jQuery;
+  var booking = window.Sadouni.booking;
+  var records = [$.extend({}, RECORD)];
+  booking.registerAdapter('memory', function () {
+    function find(reference, phone) {
+      var found = records.filter(function (record) {
+        return record.reference === $.trim(reference).toUpperCase() && booking.samePhone(record.phone, phone);
+      });
+      return Promise.resolve(found[0] || null);
+    }
+    return {
+      find: find,
+      cancel: function (reference, phone) {
+        return find(reference, phone).then(function (record) {
+          return $.extend(record, { status: 'cancelled' });
+        });
+      },
+      reschedule: function (reference, phone, change) {
+        return find(reference, phone).then(function (record) {
+          return record ? $.extend(record, { date: change.date, time: change.time }) : Promise.reject(new Error('Booking not found'));
+        });
+      },
+    };
+  });
+  $.fn.datepicker = function (name) {
+    return name === 'getDate' ? this.data('date') || null : this;
+  };
+  window.confirm = function () {
+    return true;
+  };
+  return window;
+}
+
+function ready(window) {
+  return new Promise(function (resolve) {
+    window.jQuery(resolve);
+  });
+}
+
+function settled() {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, 20);
+  });
+}
+
+async function lookUp(window, reference, phone) {
+  var $ = window.jQuery;
+  $('[name="reference"]').val(reference);
+  $('[name="phone"]').val(phone);
+  $('[data-manage-lookup]').trigger('submit');
+  await settled();
+}
+
+function summary($) {
+  return $('.cs_manage_summary dd')
+    .map(function () {
+      return $(this).text();
+    })
+    .get()
+    .join(' | ');
+}
+
+test('the reference of the confirmation link is filled in', async function () {
+  var window = page('?reference=SDN-261102-ABCD');
+  await ready(window);
+  assert.strictEqual(window.jQuery('[name="reference"]').val(), 'SDN-261102-ABCD');
+});
+
+test('a lookup needs the phone number the booking was made with', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  await lookUp(window, 'sdn-261102-abcd', '0600000000');
+  assert.strictEqual($('[data-manage-details]').prop('hidden'), true);
+  assert.strictEqual($('[data-manage-lookup] .cs_booking_status').text(), window.Sadouni.i18n.t('manage.notFound'));
+  await lookUp(window, 'sdn-261102-abcd', '06 12 34 56 78');
+  assert.strictEqual($('[data-manage-details]').prop('hidden'), false);
+  assert.match(summary($), /^SDN-261102-ABCD \| Amina \| cataract \| 2 novembre 2026 \| 09:00 \| /);
+  assert.strictEqual($('[data-manage-reschedule] [name="department"]').val(), 'cataract');
+});
+
+test('cancelling shows the new status and hides the actions', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  await lookUp(window, 'SDN-261102-ABCD', '0612345678');
+  $('[data-manage-cancel]').trigger('click');
+  await settled();
+  assert.strictEqual($('[data-manage-actions]').prop('hidden'), true);
+  assert.strictEqual($('[data-manage-details] > .cs_booking_status').text(), window.Sadouni.i18n.t('manage.cancelDone'));
+  assert.ok(summary($).endsWith(window.Sadouni.i18n.t('manage.statuses.cancelled')));
+});
+
+test('rescheduling moves the booking and tells the slot picker', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  var confirmed = null;
+  await lookUp(window, 'SDN-261102-ABCD', '0612345678');
+  $('[data-manage-reschedule-open]').trigger('click');
+  assert.strictEqual($('[data-manage-reschedule]').prop('hidden'), false);
+  assert.strictEqual($('[data-manage-reschedule]').data('exclude-reference'), 'SDN-261102-ABCD');
+  $('[data-manage-reschedule]').on('booking:confirmed', function (e, record) {
+    confirmed = record;
+  });
+  $('[name="date"]').data('date', new window.Date(2026, 10, 3));
+  $('[data-manage-reschedule]').trigger('submit');
+  await settled();
+  assert.strictEqual(confirmed.date + ' ' + confirmed.time, '2026-11-03 10:00');
+  assert.strictEqual($('[data-manage-reschedule]').prop('hidden'), true);
+  assert.match(summary($), /3 novembre 2026 \| 10:00/);
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var searchEngine = require('../assets/js/search-engine.js');
+
+test('fold drops case, accents and Arabic diacritics', function () {
+  assert.strictEqual(searchEngine.fold('Opération de l’ŒIL'), 'operation de l’oeil');
+  assert.strictEqual(searchEngine.fold('Cæcum'), 'caecum');
+  assert.strictEqual(searchEngine.fold('العَيْن'), 'العين');
+  assert.strictEqual(searchEngine.fold('أإآ'), 'ااا');
+  assert.strictEqual(searchEngine.fold('مستشفى عيادة'), 'مستشفي عياده');
+});
+
+test('plurals and endings meet the same stem', function () {
+  assert.strictEqual(searchEngine.stem('cataractes', 'fr'), searchEngine.stem('cataracte', 'fr'));
+  assert.strictEqual(searchEngine.stem('opération', 'fr'), searchEngine.stem('opérer', 'fr'));
+  assert.strictEqual(searchEngine.stem('Drops', 'en'), searchEngine.stem('drop', 'en'));
+  assert.strictEqual(searchEngine.stem('surgeries', 'en'), searchEngine.stem('surgery', 'en'));
+  assert.strictEqual(searchEngine.stem('العين', 'ar'), searchEngine.stem('عين', 'ar'));
+});
+
+test('terms leave out the stop words', function () {
+  assert.deepStrictEqual(searchEngine.terms('La chirurgie de la cataracte', 'fr'), [
+    searchEngine.stem('chirurgie', 'fr'),
+    searchEngine.stem('cataracte', 'fr'),
+  ]);
+});
+
+function index() {
+  return searchEngine.buildIndex(
+    [
+      { title: 'Cataracte', url: 'cataracte.html', text: 'Le cristallin opacifié est remplacé par un implant.' },
+      { title: 'Glaucome', url: 'glaucome.html', text: 'La tension de l’œil abîme le nerf optique, sans douleur.' },
+      { title: 'Préparer l’opération', url: 'blog/preparer.html', text: 'Avant la chirurgie de la cataracte, arrêtez vos lentilles.' },
+    ],
+    'fr',
+  );
+}
+
+test('search finds every word of the query, whatever the accents', function () {
+  var results = searchEngine.search(index(), 'OEIL tension');
+  assert.deepStrictEqual(
+    results.map(function (result) {
+      return result.document.url;
+    }),
+    ['glaucome.html'],
+  );
+});
+
+test('a word in the title ranks first', function () {
+  var urls = searchEngine.search(index(), 'cataractes').map(function (result) {
+    return result.document.url;
+  });
+  assert.deepStrictEqual(urls, ['cataracte.html', 'blog/preparer.html']);
+});
+
+test('the last word of the query may be unfinished', function () {
+  var urls = searchEngine.search(index(), 'opéra').map(function (result) {
+    return result.document.url;
+  });
+  assert.deepStrictEqual(urls, ['blog/preparer.html']);
+  assert.deepStrictEqual(searchEngine.search(index(), 'la'), []);
+});
+
+test('highlight marks the matched words', function () {
+  var result = searchEngine.search(index(), 'nerf')[0];
+  var parts = searchEngine.highlight('Le nerf optique', result.terms, 'fr');
+  assert.deepStrictEqual(parts, [
+    { text: 'Le ', match: false },
+    { text: 'nerf', match: true },
+    { text: ' optique', match: false },
+  ]);
+});
+
+test('snippet cuts a long text around the first match, between words', function () {
+  var text = new Array(40).join('avant ') + 'le glaucome abîme le nerf ' + new Array(40).join('après ');
+  var parts = searchEngine.snippet(text, [searchEngine.stem('glaucome', 'fr')], 'fr', 60);
+  var joined = parts
+    .map(function (part) {
+      return part.text;
+    })
+    .join('');
+  assert.strictEqual(parts[0].text, '… ');
+  assert.strictEqual(parts[parts.length - 1].text, ' …');
+  assert.ok(joined.length <= 60 + 4);
+  assert.ok(
+    parts.some(function (part) {
+      return part.match && part.text === 'glaucome';
+    }),
+  );
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/slider.js'];
+
+// A page in `dir` holding `body`, with the scripts slider.js needs; Slick
+// only keeps the settings it was started with
+function page(body, dir) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr" dir="' + (dir || 'ltr') + '"><body>' + (body || '') + '</body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  dom.window.jQuery.fn.slick = function (settings) {
+    if (typeof settings === 'object') {
+      this.data('slick-settings', settings);
+    }
+    return this;
+  };
+  return dom.window;
+}
+
+// The options of a container holding `attributes`
+function options(attributes) {
+  var window = page();
+  return window.Sadouni.slider.options(window.jQuery('<div>').attr(attributes || {}));
+}
+
+test('a container without attributes gets every default', function () {
+  assert.deepStrictEqual(Object.assign({}, options()), {
+    autoplay: 0,
+    speed: 600,
+    loop: false,
+    center: false,
+    variableWidth: false,
+    fadeSlide: false,
+    slidesPerView: 1,
+    addSlides: 1,
+    lgSlides: null,
+    mdSlides: null,
+    smSlides: null,
+    xsSlides: null,
+  });
+});
+
+test('a value that does not fit falls back to its default', function () {
+  var found = options({
+    'data-autoplay': '-1',
+    'data-speed': '0.5s',
+    'data-loop': 'yes',
+    'data-slides-per-view': '0',
+    'data-add-slides': 'auto',
+    'data-md-slides': '',
+  });
+  assert.strictEqual(found.autoplay, 0);
+  assert.strictEqual(found.speed, 600);
+  assert.strictEqual(found.loop, false);
+  assert.strictEqual(found.slidesPerView, 1);
+  assert.strictEqual(found.addSlides, 1);
+  assert.strictEqual(found.mdSlides, null);
+});
+
+test('values that fit are read, spaces aside', function () {
+  var found = options({ 'data-autoplay': ' 5000 ', 'data-loop': '1', 'data-center': 'true', 'data-slides-per-view': 'responsive', 'data-sm-slides': '2' });
+  assert.strictEqual(found.autoplay, 5000);
+  assert.strictEqual(found.loop, true);
+  assert.strictEqual(found.center, true);
+  assert.strictEqual(found.slidesPerView, 'responsive');
+  assert.strictEqual(found.smSlides, 2);
+});
+
+test('autoplay 1 turns on the default interval', function () {
+  var window = page();
+  var slider = window.Sadouni.slider;
+  var on = slider.settings(options({ 'data-autoplay': '1' }));
+  assert.strictEqual(on.autoplay, true);
+  assert.strictEqual(on.autoplaySpeed, 3000);
+  var timed = slider.settings(options({ 'data-autoplay': '4500' }));
+  assert.strictEqual(timed.autoplaySpeed, 4500);
+  assert.strictEqual(slider.settings(options()).autoplay, false);
+});
+
+test('a missing breakpoint keeps the number of the wider one', function () {
+  var window = page();
+  var found = options({ 'data-slides-per-view': 'responsive', 'data-add-slides': '4', 'data-md-slides': '3', 'data-xs-slides': '1' });
+  var settings = window.Sadouni.slider.settings(found);
+  assert.strictEqual(settings.slidesToShow, 4);
+  assert.strictEqual(
+    settings.responsive
+      .map(function (point) {
+        return point.breakpoint + ':' + point.settings.slidesToShow;
+      })
+      .join(' '),
+    '1600:4 1200:3 992:3 768:1',
+  );
+  assert.strictEqual(window.Sadouni.slider.settings(options({ 'data-slides-per-view': '2' })).responsive.length, 0);
+});
+
+test('init labels the carousel and swaps the arrows right to left', function () {
+  var window = page(
+    '<div class="cs_slider" data-label="Avis"><div class="cs_slider_container" data-autoplay="1" data-speed="bad">' +
+      '<div class="cs_slider_wrapper"></div></div>' +
+      '<div class="cs_slider_arrows"><button class="cs_left_arrow"></button><button class="cs_right_arrow"></button></div></div>',
+    'rtl',
+  );
+  var $ = window.jQuery;
+  window.Sadouni.slider.init($('.cs_slider'));
+  var settings = $('.cs_slider_wrapper').data('slick-settings');
+  assert.strictEqual($('.cs_slider').attr('role'), 'region');
+  assert.strictEqual($('.cs_slider').attr('aria-label'), 'Avis');
+  assert.strictEqual(settings.speed, 600);
+  assert.strictEqual(settings.rtl, true);
+  assert.strictEqual(settings.prevArrow[0], $('.cs_right_arrow')[0]);
+  assert.strictEqual($('.cs_slider_play').length, 1);
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = [
+  'assets/js/jquery-3.7.1.min.js',
+  'assets/js/translations.js',
+  'assets/js/i18n.js',
+  'assets/js/locale.js',
+  'assets/js/specialties-catalog.js',
+  'assets/js/specialties.js',
+  'assets/js/availability.js',
+  'assets/js/slots.js',
+];
+
+var SCHEDULE = fs.readFileSync(path.join(__dirname, '..', 'assets', 'data', 'schedule.json'), 'utf8');
+
+// A page with the scripts slots.js needs, reading the real schedule.json;
+// a datepicker's date is its data('date')
+function page() {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr"><body></body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  var $ = dom.window.jQuery;
+  $.ajaxTransport('+*', function () {
+    return {
+      send: function (headers, done) {
+        done(200, 'success', { text: SCHEDULE });
+      },
+      abort: function () {},
+    };
+  });
+  $.fn.datepicker = function (name) {
+    return name === 'getDate' ? this.data('date') || null : this;
+  };
+  return dom.window;
+}
+
+// A booking form for `department` on `date`, its bookings listed by
+// `records`
+function form(window, department, date, records) {
+  var $form = window
+    .jQuery(
+      '<form><input class="hasDatepicker"><input name="department" value="' + department + '"><select data-slot-picker></select></form>',
+    )
+    .appendTo(window.document.body);
+  $form.find('.hasDatepicker').data('date', date);
+  $form.data('booking-adapter-instance', {
+    list: function (filter) {
+      return Promise.resolve(
+        records.filter(function (record) {
+          return record.date === filter.date && record.status === filter.status;
+        }),
+      );
+    },
+  });
+  return $form;
+}
+
+// The first Monday at least a week away, outside any closure
+function nextMonday(window) {
+  var date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + 7);
+  var schedule = window.Sadouni.availability.createSchedule(JSON.parse(SCHEDULE));
+  while (date.getDay() !== 1 || schedule.closure(date)) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+}
+
+function values($select) {
+  return $select
+    .find('option')
+    .map(function () {
+      return this.value;
+    })
+    .get();
+}
+
+test('without a date the picker asks for one', async function () {
+  var window = page();
+  var $form = form(window, 'general', null, []);
+  var slots = await window.Sadouni.slots.refresh($form, $form.find('select'));
+  assert.strictEqual(slots.length, 0);
+  assert.strictEqual($form.find('option').text(), window.Sadouni.i18n.t('slots.pickDate'));
+});
+
+test('the slots last as long as the department’s consultation', async function () {
+  var window = page();
+  var monday = nextMonday(window);
+  var $general = form(window, 'general', monday, []);
+  var $cataract = form(window, 'cataract', monday, []);
+  var general = await window.Sadouni.slots.refresh($general, $general.find('select'));
+  var cataract = await window.Sadouni.slots.refresh($cataract, $cataract.find('select'));
+  assert.strictEqual(general[0], '09:00');
+  assert.strictEqual(general[general.length - 1], '17:40');
+  assert.strictEqual(cataract[cataract.length - 1], '17:20');
+  assert.strictEqual(values($general.find('select')).slice(1).join(' '), general.join(' '));
+});
+
+test('booked slots are left out, except the one being rescheduled', async function () {
+  var window = page();
+  var monday = nextMonday(window);
+  var iso = window.Sadouni.availability.isoDate(monday);
+  var records = [
+    { reference: 'SAD-1', date: iso, time: '09:00', department: 'cataract', status: 'confirmed' },
+    { reference: 'SAD-2', date: iso, time: '10:00', department: 'general', status: 'cancelled' },
+  ];
+  var $form = form(window, 'general', monday, records);
+  var slots = await window.Sadouni.slots.refresh($form, $form.find('select'));
+  assert.strictEqual(slots.slice(0, 4).join(' '), '09:40 10:00 10:20 10:40');
+  $form.data('exclude-reference', 'SAD-1');
+  slots = await window.Sadouni.slots.refresh($form, $form.find('select'));
+  assert.strictEqual(slots[0], '09:00');
+});
+
+test('the timepicker hours run from the opening to the last start time', async function () {
+  var schedule = await page().Sadouni.availability.load();
+  var range = schedule.timeRange();
+  assert.strictEqual(range.minTime, '09:00');
+  assert.strictEqual(range.maxTime, '17:40');
+  assert.strictEqual(range.interval, 20);
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var template = require('../tools/lib/template.js');
+
+function render(source, context, partials) {
+  return template.render(source, context || {}, function (name) {
+    return partials[name];
+  });
+}
+
+test('escapes values, including quotes for either kind of attribute', function () {
+  assert.strictEqual(template.escapeHtml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+  assert.strictEqual(render("<a title='{{title}}'>", { title: "l'œil" }), "<a title='l&#39;œil'>");
+});
+
+test('keeps triple-brace values raw and leaves missing ones empty', function () {
+  assert.strictEqual(render('{{{html}}}|{{missing}}|{{{missing}}}', { html: '<br>' }), '<br>||');
+});
+
+test('reads dotted paths', function () {
+  assert.strictEqual(render('{{site.clinic.name}}', { site: { clinic: { name: 'Dr. Sadouni' } } }), 'Dr. Sadouni');
+});
+
+test('renders {{#if}} and its {{else}}, empty lists being false', function () {
+  var source = '{{#if items}}some{{else}}none{{/if}}';
+  assert.strictEqual(render(source, { items: [1] }), 'some');
+  assert.strictEqual(render(source, { items: [] }), 'none');
+  assert.strictEqual(render(source, {}), 'none');
+});
+
+test('renders {{#each}} with the item, the outer context and the position', function () {
+  var source = '{{#each posts}}{{@index}}:{{title}}/{{lang}}{{#if @last}}.{{else}}, {{/if}}{{/each}}';
+  var context = { lang: 'fr', posts: [{ title: 'A' }, { title: 'B' }] };
+  assert.strictEqual(render(source, context), '0:A/fr, 1:B/fr.');
+  assert.strictEqual(render('{{#each tags}}<{{this}}>{{/each}}', { tags: ['x', 'y'] }), '<x><y>');
+  assert.strictEqual(render('{{#each posts}}x{{else}}empty{{/each}}', { posts: [] }), 'empty');
+});
+
+test('includes partials with the same context', function () {
+  assert.strictEqual(render('<p>{{> name}}</p>', { who: 'Sadouni' }, { name: 'Dr {{who}}' }), '<p>Dr Sadouni</p>');
+});
+
+test('block tags alone on their line take the line with them', function () {
+  var source = '<ul>\n  {{#each items}}\n  <li>{{this}}</li>\n  {{/each}}\n</ul>\n';
+  assert.strictEqual(render(source, { items: ['a', 'b'] }), '<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>\n');
+});
+
+test('reports unbalanced blocks', function () {
+  assert.throws(function () {
+    render('{{#if a}}', {});
+  }, /Unclosed \{\{#if/);
+  assert.throws(function () {
+    render('{{#if a}}{{/each}}', {});
+  }, /Unexpected \{\{\/each\}\}/);
+  assert.throws(function () {
+    render('{{else}}', {});
+  }, /outside of a block/);
+});
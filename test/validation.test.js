@@ -0,0 +1,184 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/validation.js'];
+
+// A page in `lang` holding `body`, with the scripts validation.js needs
+function page(body, lang) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="' + (lang || 'fr') + '"><body>' + (body || '') + '</body></html>', {
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  return dom.window;
+}
+
+function field(window, html) {
+  var $field = window.jQuery(html).appendTo(window.document.body);
+  return $field[0];
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function daysFromToday(days) {
+  var date = new Date();
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+test('normalizePhone accepts Moroccan numbers however they are written', function () {
+  var validation = page().Sadouni.validation;
+  ['06 12-34.56 78', '+212 612 345 678', '00212612345678', '(0612) 345678'].forEach(function (value) {
+    assert.strictEqual(validation.normalizePhone(value), '+212612345678', value);
+  });
+  assert.strictEqual(validation.normalizePhone('0522 12 34 56'), '+212522123456');
+  ['', '0812345678', '061234567', '+33612345678', 'abc'].forEach(function (value) {
+    assert.strictEqual(validation.normalizePhone(value), null, value);
+  });
+});
+
+test('required fields, text and checkboxes', function () {
+  var window = page();
+  var validate = window.Sadouni.validation.validateField;
+  var text = field(window, '<input name="name" data-validate="required">');
+  var box = field(window, '<input type="checkbox" name="consent" data-validate="required">');
+
+  assert.strictEqual(validate(text), 'Ce champ est obligatoire.');
+  text.value = '   ';
+  assert.strictEqual(validate(text), 'Ce champ est obligatoire.');
+  text.value = 'Amina';
+  assert.strictEqual(validate(text), null);
+  assert.strictEqual(validate(box), 'Ce champ est obligatoire.');
+  box.checked = true;
+  assert.strictEqual(validate(box), null);
+});
+
+test('phone and email', function () {
+  var window = page();
+  var validate = window.Sadouni.validation.validateField;
+  var phone = field(window, '<input name="phone" data-validate="required phone" value="12345">');
+  var email = field(window, '<input name="email" data-validate="email" value="amina@">');
+
+  assert.match(validate(phone), /numéro marocain valide/);
+  phone.value = '06 12 34 56 78';
+  assert.strictEqual(validate(phone), null);
+  assert.strictEqual(validate(email), 'Entrez une adresse e-mail valide.');
+  email.value = ' amina@example.ma ';
+  assert.strictEqual(validate(email), null);
+});
+
+test('dates from today on', function () {
+  var window = page();
+  var validate = window.Sadouni.validation.validateField;
+  var date = field(window, '<input name="date" data-validate="date">');
+
+  date.value = isoDate(daysFromToday(-1));
+  assert.strictEqual(validate(date), "Choisissez une date à partir d'aujourd'hui.");
+  date.value = '04/08/2030';
+  assert.strictEqual(validate(date), "Choisissez une date à partir d'aujourd'hui.");
+  date.value = isoDate(daysFromToday(0));
+  assert.strictEqual(validate(date), null);
+  date.value = isoDate(daysFromToday(30));
+  assert.strictEqual(validate(date), null);
+});
+
+test('lengths, with the parameter in the message', function () {
+  var window = page();
+  var validate = window.Sadouni.validation.validateField;
+  var short = field(window, '<input data-validate="minlength" data-validate-minlength="3" value="ab">');
+  var long = field(window, '<textarea data-validate="maxlength" data-validate-maxlength="5">bonjour</textarea>');
+
+  assert.strictEqual(validate(short), 'Saisissez au moins 3 caractères.');
+  short.value = ' abc ';
+  assert.strictEqual(validate(short), null);
+  assert.strictEqual(validate(long), 'Ne dépassez pas 5 caractères.');
+  long.value = 'merci';
+  assert.strictEqual(validate(long), null);
+});
+
+test('an empty optional field is not checked', function () {
+  var window = page();
+  var email = field(window, '<input data-validate="email">');
+  assert.strictEqual(window.Sadouni.validation.validateField(email), null);
+});
+
+test('data-validate-message replaces the rule message', function () {
+  var window = page();
+  var phone = field(window, '<input data-validate="phone" data-validate-message="Numéro du patient ?" value="1">');
+  assert.strictEqual(window.Sadouni.validation.validateField(phone), 'Numéro du patient ?');
+});
+
+test('messages are in the page language', function () {
+  var ar = page('', 'ar');
+  var en = page('', 'en');
+  var required = '<input data-validate="required">';
+  assert.strictEqual(ar.Sadouni.validation.validateField(field(ar, required)), ar.Sadouni.translations.ar.messages.validation.required);
+  assert.strictEqual(en.Sadouni.validation.validateField(field(en, required)), 'This field is required.');
+});
+
+test('rules added later are used like the built-in ones', function () {
+  var window = page();
+  var validation = window.Sadouni.validation;
+  validation.addRule(
+    'even',
+    function (value) {
+      return value % 2 === 0;
+    },
+    'Pair seulement',
+  );
+  var number = field(window, '<input data-validate="even" value="3">');
+  assert.strictEqual(validation.validateField(number), 'Pair seulement');
+  number.value = '4';
+  assert.strictEqual(validation.validateField(number), null);
+});
+
+test('an unknown rule is a mistake in the markup', function () {
+  var window = page();
+  var input = field(window, '<input data-validate="postcode" value="20000">');
+  assert.throws(function () {
+    window.Sadouni.validation.validateField(input);
+  }, /Unknown validation rule "postcode"/);
+});
+
+test('a form reports every error and focuses the first invalid field', function () {
+  var window = page(
+    '<form>' +
+      '<div class="cs_form_field_wrapper"><input id="name" data-validate="required"></div>' +
+      '<div class="cs_form_field_wrapper"><input id="phone" data-validate="required phone" value="0612345678"></div>' +
+      '<div class="cs_form_field_wrapper"><input id="email" data-validate="required email"></div>' +
+      '</form>',
+  );
+  var $ = window.jQuery;
+  var $form = $('form');
+
+  assert.strictEqual(window.Sadouni.validation.validateForm($form), false);
+  assert.strictEqual(
+    $form
+      .find('[aria-invalid="true"]')
+      .map(function () {
+        return this.id;
+      })
+      .get()
+      .join(' '),
+    'name email',
+  );
+  assert.strictEqual($('#name').attr('aria-describedby'), 'name_error');
+  assert.strictEqual($('#name_error').text(), 'Ce champ est obligatoire.');
+  assert.ok($('#name').closest('.cs_form_field_wrapper').hasClass('cs_invalid'));
+  assert.strictEqual(window.document.activeElement.id, 'name');
+
+  $('#name').val('Amina');
+  $('#email').val('amina@example.ma');
+  assert.strictEqual(window.Sadouni.validation.validateForm($form), true);
+  assert.strictEqual($('.cs_field_error').length, 0);
+  assert.strictEqual($('[aria-invalid]').length, 0);
+});
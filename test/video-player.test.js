@@ -0,0 +1,81 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/video-player.js'];
+
+var CHAPTERS = ['WEBVTT', '', '00:00.000 --> 00:30.000', 'Un', '', '00:30.000 --> 01:15.500', 'Deux', ''].join('\n');
+
+// A page in `lang` with the scripts video-player.js needs, whose Ajax
+// requests get the text of `responses` (by URL) instead of the network
+function page(lang, responses) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="' + (lang || 'fr') + '"><body></body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  dom.window.jQuery.ajaxTransport('+*', function (options) {
+    return {
+      send: function (headers, done) {
+        var text = (responses || {})[options.url];
+        done(text === undefined ? 404 : 200, text === undefined ? 'error' : 'success', { text: text || '' });
+      },
+      abort: function () {},
+    };
+  });
+  return dom.window;
+}
+
+function player(window, options) {
+  var $player = window.Sadouni.videoPlayer.create({ kind: 'mp4', src: 'https://example.test/assets/video/demo.mp4' }, options);
+  window.jQuery('body').append($player);
+  return $player;
+}
+
+test('parseVtt reads the cues, with or without hours', function () {
+  var cues = page().Sadouni.videoPlayer.parseVtt('WEBVTT\r\n\r\nintro\r\n00:01.000 --> 00:04.250\r\nBonjour\r\nà tous\r\n\r\n1:00:00.000 --> 1:00:02.000\r\nFin');
+  assert.strictEqual(cues.length, 2);
+  assert.strictEqual(cues[0].start, 1);
+  assert.strictEqual(cues[0].end, 4.25);
+  assert.strictEqual(cues[0].text, 'Bonjour à tous');
+  assert.strictEqual(cues[1].start, 3600);
+});
+
+test('the caption track of the page language is on by default', function () {
+  var window = page('ar');
+  var $tracks = player(window, { captions: 'fr:a.fr.vtt ar:a.ar.vtt en:a.en.vtt' }).find('track');
+  assert.strictEqual($tracks.length, 3);
+  assert.strictEqual($tracks.filter('[default]').attr('srclang'), 'ar');
+  assert.strictEqual($tracks.filter('[srclang="fr"]').attr('src'), 'a.fr.vtt');
+});
+
+test('the chapters fall back to French and jump to their start', function () {
+  var window = page('en', { 'a.chapitres.fr.vtt': CHAPTERS });
+  var $player = player(window, { chapters: 'fr:a.chapitres.fr.vtt' });
+  var $buttons = $player.find('.cs_video_chapters button');
+  assert.strictEqual($buttons.length, 2);
+  assert.strictEqual($buttons.eq(1).text(), '0:30 Deux');
+  var video = $player.find('video')[0];
+  video.play = function () {};
+  $buttons.eq(1).trigger('click');
+  assert.strictEqual(video.currentTime, 30);
+});
+
+test('there is no chapter list without a chapters file', function () {
+  var $player = player(page(), {});
+  assert.strictEqual($player.find('.cs_video_chapters').length, 0);
+  assert.strictEqual($player.find('.cs_video_speed option').length, 5);
+  assert.strictEqual($player.find('.cs_video_speed').val(), '1');
+});
+
+test('the speed is applied to the video', function () {
+  var $player = player(page(), {});
+  $player.find('.cs_video_speed').val('1.5').trigger('change');
+  assert.strictEqual($player.find('video')[0].playbackRate, 1.5);
+});
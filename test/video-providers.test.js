@@ -0,0 +1,92 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var resolve = require('../assets/js/video-providers.js').resolve;
+
+var SCRIPTS = [
+  'assets/js/jquery-3.7.1.min.js',
+  'assets/js/translations.js',
+  'assets/js/i18n.js',
+  'assets/js/video-providers.js',
+  'assets/js/video-player.js',
+  'assets/js/video-modal.js',
+];
+
+var BASE = 'https://example.test/ar/index.html';
+
+// A page holding `body`, with the scripts of the video popup
+function page(body) {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr"><body>' + body + '</body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  dom.window.Sadouni.videoModal.init();
+  return dom.window;
+}
+
+test('every YouTube link plays from youtube-nocookie.com', function () {
+  var embed = 'https://www.youtube-nocookie.com/embed/rRid6GCJtgc?autoplay=1&rel=0';
+  [
+    'https://youtu.be/rRid6GCJtgc',
+    'https://www.youtube.com/watch?v=rRid6GCJtgc',
+    'https://youtube.com/shorts/rRid6GCJtgc',
+    'https://www.youtube.com/embed/rRid6GCJtgc',
+  ].forEach(function (href) {
+    var video = resolve(href, BASE);
+    assert.strictEqual(video.src, embed, href);
+    assert.strictEqual(video.thirdParty, true);
+  });
+  assert.strictEqual(resolve('https://youtu.be/rRid6GCJtgc?t=1m30s', BASE).src, embed + '&start=90');
+});
+
+test('Vimeo links keep the hash of unlisted videos and play with dnt', function () {
+  assert.strictEqual(resolve('https://vimeo.com/76979871', BASE).src, 'https://player.vimeo.com/video/76979871?autoplay=1&dnt=1');
+  assert.strictEqual(resolve('https://vimeo.com/76979871/8272103f6e', BASE).src, 'https://player.vimeo.com/video/76979871?autoplay=1&dnt=1&h=8272103f6e');
+  assert.strictEqual(resolve('https://player.vimeo.com/video/76979871?h=abc', BASE).provider, 'vimeo');
+});
+
+test('our own .mp4 and .m3u8 files play without consent, relative to the page', function () {
+  var video = resolve('../assets/video/visite.MP4', BASE);
+  assert.strictEqual(video.kind, 'mp4');
+  assert.strictEqual(video.src, 'https://example.test/assets/video/visite.MP4');
+  assert.strictEqual(video.thirdParty, false);
+  assert.strictEqual(resolve('/live/index.m3u8', BASE).kind, 'hls');
+});
+
+test('anything off the allow-list is refused', function () {
+  [
+    'javascript:alert(1)',
+    'data:video/mp4;base64,AAAA',
+    'http://www.youtube.com/watch?v=rRid6GCJtgc',
+    'https://youtube.com.evil.test/watch?v=rRid6GCJtgc',
+    'https://www.youtube.com/watch?v=short',
+    'https://www.youtube.com/channel/UC123',
+    'https://vimeo.com/channels/staffpicks',
+    'https://cdn.example.org/visite.mp4',
+    'https://example.test/assets/video/visite.webm',
+    'http://[bad',
+  ].forEach(function (href) {
+    assert.strictEqual(resolve(href, BASE), null, href);
+  });
+});
+
+test('the popup refuses a link off the list and asks before loading YouTube', function () {
+  var window = page('<a class="cs_video_open" href="https://cdn.example.org/x.mp4">A</a><a class="cs_video_open" href="https://youtu.be/rRid6GCJtgc">B</a>');
+  var $ = window.jQuery;
+  $('.cs_video_open').eq(0).trigger('click');
+  assert.strictEqual($('.cs_video_popup-frame').text(), window.Sadouni.i18n.t('video.invalid'));
+  $('.cs_video_popup-close').trigger('click');
+  $('.cs_video_open').eq(1).trigger('click');
+  assert.strictEqual($('.cs_video_popup-frame iframe').length, 0);
+  assert.strictEqual($('.cs_video_consent_box a').attr('href'), 'https://youtu.be/rRid6GCJtgc');
+  $('.cs_video_consent_box button').trigger('click');
+  assert.strictEqual($('.cs_video_popup-frame iframe').attr('src'), 'https://www.youtube-nocookie.com/embed/rRid6GCJtgc?autoplay=1&rel=0');
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SCRIPTS = ['assets/js/jquery-3.7.1.min.js', 'assets/js/translations.js', 'assets/js/i18n.js', 'assets/js/wizard.js', 'assets/js/validation.js'];
+
+var FORM =
+  '<form data-wizard>' +
+  '<fieldset class="cs_wizard_step" data-step-title="Motif"><legend>Motif</legend>' +
+  '<div class="cs_form_field_wrapper"><select name="department" data-validate="required" data-review-label="Spécialité">' +
+  '<option value="">Choisir</option><option value="cataract">Cataracte</option></select></div></fieldset>' +
+  '<fieldset class="cs_wizard_step" data-step-title="Coordonnées"><legend>Coordonnées</legend>' +
+  '<div class="cs_form_field_wrapper"><input name="name" data-validate="required" data-review-label="Nom"></div>' +
+  '<div class="cs_form_field_wrapper"><input name="phone" data-validate="required phone"></div></fieldset>' +
+  '<fieldset class="cs_wizard_step" data-step-title="Vérification"><legend>Vérification</legend><div class="cs_wizard_review"></div></fieldset>' +
+  '<button type="button" data-wizard-prev>Retour</button><button type="button" data-wizard-next>Continuer</button>' +
+  '<button type="submit">Envoyer</button>' +
+  '</form>';
+
+// A page holding the wizard form, with the scripts of the contact page
+function page() {
+  var dom = new JSDOM('<!DOCTYPE html><html lang="fr"><body>' + FORM + '</body></html>', {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+  });
+  SCRIPTS.forEach(function (file) {
+    dom.window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  return dom.window;
+}
+
+function ready(window) {
+  return new Promise(function (resolve) {
+    window.jQuery(resolve);
+  });
+}
+
+function visible($) {
+  return $('.cs_wizard_step').not('[hidden]').data('step-title');
+}
+
+test('the wizard starts on the first step with only Continue shown', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  assert.strictEqual(visible($), 'Motif');
+  assert.strictEqual($('.cs_wizard_progress li').length, 3);
+  assert.strictEqual($('.cs_wizard_progress li.active').attr('aria-current'), 'step');
+  assert.strictEqual($('[data-wizard-prev]').prop('hidden'), true);
+  assert.strictEqual($('[type="submit"]').prop('hidden'), true);
+});
+
+test('Continue stays on a step until its fields are valid', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  var wizard = $('form').data('wizard');
+  assert.strictEqual(wizard.next(), false);
+  assert.strictEqual(wizard.current(), 0);
+  assert.strictEqual($('[name="department"]').attr('aria-invalid'), 'true');
+  $('[name="department"]').val('cataract');
+  $('[data-wizard-next]').trigger('click');
+  assert.strictEqual(visible($), 'Coordonnées');
+  assert.strictEqual($('.cs_wizard_progress li').eq(0).hasClass('done'), true);
+});
+
+test('Enter on an earlier step moves on instead of sending the form', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  var sent = 0;
+  $('form').on('submit', function (e) {
+    e.preventDefault();
+    sent++;
+  });
+  $('[name="department"]').val('cataract');
+  $('form').trigger('submit');
+  assert.strictEqual(visible($), 'Coordonnées');
+  $('form').trigger('submit');
+  assert.strictEqual(visible($), 'Coordonnées');
+  assert.strictEqual(sent, 0);
+});
+
+test('the review lists the marked fields and edits jump back to their step', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  var wizard = $('form').data('wizard');
+  $('[name="department"]').val('cataract');
+  wizard.next();
+  $('[name="name"]').val('Amina');
+  $('[name="phone"]').val('0612345678');
+  assert.strictEqual(wizard.next(), true);
+  assert.strictEqual($('[type="submit"]').prop('hidden'), false);
+  assert.strictEqual($('[data-wizard-next]').prop('hidden'), true);
+  assert.strictEqual($('.cs_wizard_review dt').text(), 'SpécialitéNom');
+  assert.strictEqual($('.cs_wizard_review dd').eq(0).contents().first().text(), 'Cataracte');
+  $('.cs_wizard_edit').eq(1).trigger('click');
+  assert.strictEqual(visible($), 'Coordonnées');
+  $('[data-wizard-prev]').trigger('click');
+  assert.strictEqual(visible($), 'Motif');
+  assert.strictEqual($('[name="name"]').val(), 'Amina');
+});
+
+test('a confirmed booking brings the wizard back to the first step', async function () {
+  var window = page();
+  await ready(window);
+  var $ = window.jQuery;
+  $('form').data('wizard').goTo(2);
+  $('form').trigger('booking:confirmed', [{}]);
+  assert.strictEqual(visible($), 'Motif');
+});
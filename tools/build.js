@@ -0,0 +1,991 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+|--------------------------------------------------------------------------
+| Build
+|--------------------------------------------------------------------------
+|
+| Assembles the static pages at the root of the site from src/:
+|
+|   src/layouts/<layout>.html   the page shell; its front matter holds the
+|                               defaults every page starts from
+|   src/partials/<name>.html    header, footer, head, scripts… shared by
+|                               every page
+|   src/pages/<page>.html       front matter + the page's own blocks,
+|                               written to <page>.html
+|   src/content/<collection>/<page>.md
+|                               front matter + Markdown, rendered in the
+|                               collection's layout (see COLLECTIONS) and
+|                               written to <page>.html, or under the
+|                               collection's `dir` (blog/<page>.html)
+|   src/pages/<lang>/…, src/content/<collection>/<lang>/…
+|                               the same page in another language of
+|                               assets/js/translations.js, written to
+|                               <lang>/<page>.html; it must be listed in
+|                               the language's `pages`
+|   the posts' categories, tags and months
+|                               an archive page each, listing their posts
+|                               in src/layouts/archive.html (see ARCHIVES)
+|   <page>/page/<n>.html        the next pages of a listing split into
+|                               pages (see PAGINATED), from the same source
+|
+| A page that moved keeps its old address as a page in
+| src/layouts/redirect.html, its `redirect` being the new address, so
+| old links and bookmarks still lead to it.
+|
+| A page body is split into blocks by `<!-- block: name -->` comments
+| (`head` for extra <head> markup, `content` for everything between the
+| header and the footer); a page without markers is all content. Blocks
+| are templates too, rendered before the layout with the same context. A
+| layout with a `layout:` of its own is rendered the same way, as the
+| blocks of the outer one; a Markdown body is `page.body`. Templates see:
+|
+|   site          assets/js/site-config.js
+|   specialties   { menu, bookable, cards, illustrated } from
+|                 assets/js/specialties-catalog.js, each with its `url`
+|                 and its label in the page language
+|   page          layout defaults (translated, see `layouts` in
+|                 translations.js) + front matter + blocks; `base` is
+|                 the way back to the site root ("../") for pages built
+|                 into a directory. A listing split into pages has the
+|                 `posts` of the page and its `pagination`: { number,
+|                 count, previous, next, pages: [{ number, url,
+|                 current }] }, no `pagination` when it fits on one.
+|                 `faqSchema` is the schema.org FAQPage (JSON) of the
+|                 page's FAQ accordions, '' without one.
+|   blog          { posts, latest } from src/content/blog/, newest
+|                 first, in the page language where translated, and
+|                 { categories, tags, months }: their archive pages
+|                 with `title`, `url`, `count` and `posts`
+|   lang          { code, dir, name } of the page language
+|   i18n          its messages, e.g. {{i18n.nav.home}}
+|   links         every page by name in the page language, e.g.
+|                 {{links.contact}} is "ar/contact.html" on Arabic pages,
+|                 or the French page when it has no translation yet
+|   languages     every language with the URL of this page in it, for
+|                 the switcher; `alternates` only those the page is
+|                 translated into, for hreflang
+|   feeds         { type, title, url } of the blog's feeds, and of the
+|                 category's on a category page, for autodiscovery
+|
+| An empty `<time datetime="2024-08-04"></time>` in the output is filled
+| with the date written in the page language (assets/js/locale.js).
+|
+| Building every page also writes the header search index of each
+| language to assets/search/<lang>.json (assets/js/search-engine.js):
+| the posts, the specialty pages and the questions of every FAQ
+| accordion, linked to the question (#faq-…). It also writes the feeds
+| of the blog and of each category as RSS, Atom and JSON Feed (see FEEDS):
+| blog/feed.xml, blog/categorie/<category>/atom.xml…
+|
+| Usage:
+|   node tools/build.js [page…]           build all pages, the search
+|                                         indexes and the feeds, or the
+|                                         pages named
+|                                         (index, ar/index…)
+|   node tools/build.js --check [page…]   exit 1 when a built page is out
+|                                         of date with its sources
+|
+| A full build also deletes what the previous one wrote and no longer
+| comes from src/ (a renamed page), as listed in tools/build-outputs.json.
+|
+| The generated pages are committed: edit src/, never the root .html.
+|
+*/
+
+var fs = require('fs');
+var path = require('path');
+var template = require('./lib/template');
+var frontMatter = require('./lib/front-matter');
+var markdown = require('./lib/markdown');
+var i18n = require('./lib/i18n');
+var feed = require('./lib/feed');
+var locale = require('../assets/js/locale.js');
+var searchEngine = require('../assets/js/search-engine.js');
+
+var ROOT = path.resolve(__dirname, '..');
+var SRC = path.join(ROOT, 'src');
+var ANCHOR_PREFIX = 'specialite-';
+var WORDS_PER_MINUTE = 200;
+var LATEST_POSTS = 3;
+var BLOCK = /^[ \t]*<!-- block: ([\w-]+) -->[ \t]*\r?\n/gm;
+var EMPTY_TIME = /(<time datetime="(\d{4}-\d{2}-\d{2})"[^>]*>)<\/time>/g;
+var SEARCH_DIR = 'assets/search';
+var OUTPUTS = 'tools/build-outputs.json';
+var FEED_LISTING = 'blog';
+var IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif' };
+var RELATIVE_LINK = /(\s(?:href|src)=")(?![a-z][a-z0-9+.-]*:|\/|#)([^"]*")/gi;
+// A question of the FAQ accordions: the other attributes of
+// .cs_accordian, its title and its answer
+var ACCORDION =
+  /<div class="cs_accordian\b[^"]*"([^>]*)>[\s\S]*?class="cs_accordian_title[^"]*"[^>]*>([\s\S]*?)<\/h\d>[\s\S]*?class="cs_accordian_body[^"]*"[^>]*>([\s\S]*?)<\/div>/g;
+var FAQ_ID_PREFIX = 'faq-';
+
+function read(file) {
+  return fs.readFileSync(file, 'utf8');
+}
+
+function readPartial(name) {
+  var file = path.join(SRC, 'partials', name + '.html');
+  if (!fs.existsSync(file)) {
+    throw new Error('Unknown partial "' + name + '" (' + path.relative(ROOT, file) + ')');
+  }
+  return read(file);
+}
+
+// Same links as Sadouni.specialties.pageUrl in the browser
+function specialties(code) {
+  var catalog = require('../assets/js/specialties-catalog.js').map(function (specialty) {
+    return Object.assign(i18n.specialty(code, specialty), {
+      url: i18n.url(specialty.page || 'services.html#' + ANCHOR_PREFIX + specialty.id, code),
+      anchor: ANCHOR_PREFIX + specialty.id,
+    });
+  });
+  function where(test) {
+    return catalog.filter(test);
+  }
+  return {
+    all: catalog,
+    menu: where(function (s) { return s.menu; }),
+    bookable: where(function (s) { return s.bookable; }),
+    cards: where(function (s) { return !!s.description; }),
+    illustrated: where(function (s) { return !!s.description && !!s.icon; }),
+  };
+}
+
+function readingTime(markdownBody) {
+  var words = markdownBody
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .split(/\s+/)
+    .filter(function (word) {
+      return /\w/.test(word);
+    });
+  return Math.max(1, Math.ceil(words.length / WORDS_PER_MINUTE));
+}
+
+// "Maladies de l’œil" -> "maladies-de-l-oeil"
+function slug(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/œ/g, 'oe')
+    .replace(/æ/g, 'ae')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function archiveUrl(type, value, code) {
+  return i18n.url(ARCHIVES[type].dir + '/' + slug(value) + '.html', code);
+}
+
+// Every post in the language, newest first: its translation when there is
+// one, else the French post. Read once per language.
+var blogCache = {};
+
+function blog(code) {
+  if (blogCache[code]) {
+    return blogCache[code];
+  }
+  var all = files();
+  var posts = Object.keys(all)
+    .filter(function (key) {
+      return all[key].collection === 'blog' && all[key].lang === i18n.defaultLocale;
+    })
+    .map(function (key) {
+      var source = all[code + '/' + key] || all[key];
+      var parsed = frontMatter.parse(read(source.file), path.relative(ROOT, source.file));
+      return Object.assign({}, parsed.data, {
+        name: key,
+        url: i18n.url(key + '.html', code),
+        lang: source.lang,
+        foreign: source.lang !== code,
+        readingTime: readingTime(parsed.body),
+        categoryUrl: parsed.data.category ? archiveUrl('categories', parsed.data.category, code) : null,
+        tagLinks: (parsed.data.tags || []).map(function (tag) {
+          return { title: tag, url: archiveUrl('tags', tag, code) };
+        }),
+      });
+    })
+    .sort(function (a, b) {
+      return String(b.date).localeCompare(String(a.date)) || String(a.title).localeCompare(String(b.title));
+    });
+  blogCache[code] = Object.assign({ posts: posts, latest: posts.slice(0, LATEST_POSTS) }, archives(posts, code));
+  return blogCache[code];
+}
+
+// The archive pages of the posts, by type: months newest first, the
+// others in alphabetical order
+function archives(posts, code) {
+  var result = {};
+  Object.keys(ARCHIVES).forEach(function (type) {
+    var archive = ARCHIVES[type];
+    var groups = {};
+    posts.forEach(function (post) {
+      archive.values(post).forEach(function (value) {
+        if (!slug(value)) {
+          throw new Error(post.name + ': no archive page can be named after "' + value + '"');
+        }
+        var name = archive.dir + '/' + slug(value);
+        groups[name] = groups[name] || {
+          type: type,
+          name: name,
+          value: value,
+          title: archive.title ? archive.title(value, code) : value,
+          url: i18n.url(name + '.html', code),
+          posts: [],
+        };
+        groups[name].posts.push(post);
+      });
+    });
+    result[type] = Object.keys(groups)
+      .map(function (name) {
+        return Object.assign(groups[name], { count: groups[name].posts.length });
+      })
+      .sort(function (a, b) {
+        return archive.newestFirst
+          ? String(b.value).localeCompare(String(a.value))
+          : String(a.title).localeCompare(String(b.title), locale.tag(code));
+      });
+  });
+  return result;
+}
+
+// Blocks keep their indentation but lose the surrounding blank lines
+function blocks(body) {
+  var found = {};
+  var matches = [];
+  var match;
+  BLOCK.lastIndex = 0;
+  while ((match = BLOCK.exec(body))) {
+    matches.push({ name: match[1], start: match.index, end: BLOCK.lastIndex });
+  }
+  if (!matches.length) {
+    return { content: body.replace(/^\s*\n|\s+$/g, '') };
+  }
+  matches.forEach(function (block, i) {
+    var next = matches[i + 1];
+    found[block.name] = body.slice(block.end, next ? next.start : body.length).replace(/^\s*\n|\s+$/g, '');
+  });
+  return found;
+}
+
+function defaultContext() {
+  return {
+    site: require('../assets/js/site-config.js'),
+  };
+}
+
+// What the templates of one page need to know about its language
+function languageContext(code, name, names) {
+  var file = name + '.html';
+  var language = i18n.language(code);
+  var links = {};
+  var languages = i18n.codes().map(function (other) {
+    var translated = i18n.isTranslated(file, other);
+    return {
+      code: other,
+      name: i18n.language(other).name,
+      label: i18n.language(other).label,
+      url: i18n.url(translated ? file : 'index.html', other),
+      current: other === code,
+      translated: translated,
+    };
+  });
+  var alternates = languages.filter(function (other) {
+    return other.translated;
+  });
+
+  names.forEach(function (page) {
+    links[page] = i18n.url(page + '.html', code);
+  });
+  return {
+    lang: {
+      code: code,
+      dir: language.dir,
+      name: language.name,
+    },
+    i18n: i18n.messages(code),
+    specialties: specialties(code),
+    blog: blog(code),
+    links: links,
+    languages: languages,
+    alternates: alternates.length > 1 ? alternates : [],
+  };
+}
+
+// A specialty page must be the one the catalog links to
+function checkSpecialty(page, context) {
+  var entry = context.specialties.all.filter(function (specialty) {
+    return specialty.id === page.specialty;
+  })[0];
+  if (!entry) {
+    throw new Error(page.file + ': unknown specialty "' + page.specialty + '"');
+  }
+  if (entry.page !== page.name + '.html') {
+    throw new Error(
+      page.file + ': the catalog links "' + entry.label + '" to ' + (entry.page || entry.url) + ', set its `page`',
+    );
+  }
+}
+
+// A post needs a title and a YYYY-MM-DD date to be listed and sorted
+function checkPost(page) {
+  if (!page.title) {
+    throw new Error(page.file + ': a post needs a `title`');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(page.date || '')) {
+    throw new Error(page.file + ': `date` must be YYYY-MM-DD, not "' + page.date + '"');
+  }
+}
+
+// Reading time and the neighbouring posts, from the listing the page
+// already has in its context
+function preparePost(page, context) {
+  var posts = context.blog.posts;
+  var index = posts
+    .map(function (post) {
+      return post.name;
+    })
+    .indexOf(page.name);
+  var post = posts[index];
+  page.readingTime = post.readingTime;
+  page.description = page.description || page.excerpt;
+  page.categoryUrl = post.categoryUrl;
+  page.tagLinks = post.tagLinks;
+  page.previous = posts[index + 1] || null;
+  page.next = posts[index - 1] || null;
+}
+
+// The posts of the category, tag or month the page is named after; the
+// layout's `categories`, `tags` or `months` is its heading
+function prepareArchive(page, context) {
+  var group = Object.keys(ARCHIVES).reduce(function (found, type) {
+    return (
+      found ||
+      context.blog[type].filter(function (other) {
+        return other.name === page.name;
+      })[0]
+    );
+  }, null);
+  page.heading = page[group.type].replace('{name}', group.title);
+  page.title = page.heading;
+  page.description = page.description.replace('{name}', group.title);
+  page.posts = group.posts;
+}
+
+function listingUrl(listing, number, code) {
+  return i18n.url((number > 1 ? listing + '/page/' + number : listing) + '.html', code);
+}
+
+// The posts of page `number` of the listing, and the links to the others
+function paginate(page, context, listing, number) {
+  var perPage = PAGINATED[listing].perPage;
+  var posts = context.blog.posts;
+  var count = Math.max(1, Math.ceil(posts.length / perPage));
+  var pages = [];
+  for (var other = 1; other <= count; other++) {
+    pages.push({ number: other, url: listingUrl(listing, other, page.lang), current: other === number });
+  }
+  page.posts = posts.slice((number - 1) * perPage, number * perPage);
+  page.pagination =
+    count > 1
+      ? {
+          number: number,
+          count: count,
+          previous: number > 1 ? listingUrl(listing, number - 1, page.lang) : null,
+          next: number < count ? listingUrl(listing, number + 1, page.lang) : null,
+          pages: pages,
+        }
+      : null;
+  if (number > 1) {
+    page.title += ' – ' + context.i18n.pagination.page.replace('{number}', number);
+  }
+}
+
+// src/content/<collection>/*.md, each rendered in the collection's layout.
+// Specialty pages take `specialty` (catalog id), `heading`, `sectionTitle`,
+// `hero`, `video` (with `videoTitle`, `videoCaptions` and `videoChapters`
+// as in assets/js/video-player.js), `checklist`, `faq` (q/a), `tags` and
+// `related` (title, url, cover, date); see src/layouts/specialty.html for
+// the defaults. Posts
+// take `title`, `date`, `author`, `category`, `tags`, `cover` and
+// `excerpt` (src/layouts/post.html).
+var COLLECTIONS = {
+  specialties: { layout: 'specialty', check: checkSpecialty },
+  blog: { layout: 'post', dir: 'blog', prepare: preparePost, check: checkPost },
+};
+
+// What posts are grouped by: each value gets <dir>/<slug>.html, in French
+// only like the posts. `title` is how the value is shown.
+var ARCHIVES = {
+  categories: {
+    dir: 'blog/categorie',
+    values: function (post) {
+      return post.category ? [post.category] : [];
+    },
+  },
+  tags: {
+    dir: 'blog/tag',
+    values: function (post) {
+      return post.tags || [];
+    },
+  },
+  months: {
+    dir: 'blog/archives',
+    values: function (post) {
+      return [String(post.date).slice(0, 7)];
+    },
+    title: function (month, code) {
+      return locale.formatDate(month + '-01', code, 'month');
+    },
+    newestFirst: true,
+  },
+};
+
+var ARCHIVE_PAGE = { layout: 'archive', prepare: prepareArchive };
+
+// Listings of blog.posts split into pages: <page>.html shows the first
+// `perPage` posts, <page>/page/2.html the next ones and so on
+var PAGINATED = {
+  blog: { perPage: 6 },
+};
+
+// The formats every feed is written in, as <feed>/<file>
+var FEEDS = {
+  rss: { file: 'feed.xml', type: 'application/rss+xml', label: 'RSS', render: feed.rss },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom', render: feed.atom },
+  json: { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed', render: feed.json },
+};
+
+// Markdown bodies get the classes of the theme's article pages
+var MARKDOWN = {
+  paragraph: function (html) {
+    return '<p class="cs_fs_20">' + html + '</p>';
+  },
+  heading: function (level, html) {
+    return '<h' + level + ' class="' + (level <= 2 ? 'cs_fs_32' : 'cs_fs_24') + ' cs_semibold">' + html + '</h' + level + '>';
+  },
+  quote: function (html) {
+    return '<blockquote>\n  <img src="assets/img/icons/quote_icon_7.svg" alt="Icon" class="cs_fs_18">' + html + '\n</blockquote>';
+  },
+  images: function (images) {
+    return (
+      '<div class="row">\n' +
+      images
+        .map(function (image) {
+          return (
+            '  <div class="col-lg-6 cs_radius_10 cataracte-img2">\n' +
+            '    <img src="' + template.escapeHtml(image.src) + '" alt="' + template.escapeHtml(image.alt) + '">\n' +
+            '  </div>\n'
+          );
+        })
+        .join('') +
+      '</div>'
+    );
+  },
+};
+
+function filesIn(dir, extension) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(function (file) {
+    return path.extname(file) === extension;
+  });
+}
+
+// Every page to build, keyed by output path without .html ("index",
+// "ar/index", "blog/categorie/prevention"): the source files, then the
+// archive pages of the posts and the next pages of the listings. Read
+// once per build, like files().
+var sourcesCache = null;
+
+function sources() {
+  if (sourcesCache) {
+    return sourcesCache;
+  }
+  var found = Object.assign({}, files());
+  var french = blog(i18n.defaultLocale);
+  Object.keys(ARCHIVES).forEach(function (type) {
+    french[type].forEach(function (group) {
+      if (found[group.name]) {
+        throw new Error(
+          'Two sources for ' + group.name + '.html: ' + path.relative(ROOT, found[group.name].file) + ' and the ' + type + ' of the posts',
+        );
+      }
+      found[group.name] = {
+        name: group.name,
+        lang: i18n.defaultLocale,
+        file: path.join(SRC, 'layouts', ARCHIVE_PAGE.layout + '.html'),
+        archive: type,
+      };
+    });
+  });
+  // Like the posts, the listings are French only
+  Object.keys(PAGINATED).forEach(function (listing) {
+    var count = Math.ceil(french.posts.length / PAGINATED[listing].perPage);
+    for (var number = 2; found[listing] && number <= count; number++) {
+      var name = listing + '/page/' + number;
+      found[name] = { name: name, lang: i18n.defaultLocale, file: found[listing].file, listing: listing, number: number };
+    }
+  });
+  sourcesCache = found;
+  return found;
+}
+
+// src/pages/*.html and the Markdown collections, then the same under a
+// language directory
+var filesCache = null;
+
+function files() {
+  if (filesCache) {
+    return filesCache;
+  }
+  var found = {};
+
+  function add(file, collection, code) {
+    var dir = collection && COLLECTIONS[collection].dir;
+    var name = (dir ? dir + '/' : '') + path.basename(file, path.extname(file));
+    var key = code === i18n.defaultLocale ? name : code + '/' + name;
+    if (found[key]) {
+      throw new Error(
+        'Two sources for ' + key + '.html: ' + path.relative(ROOT, found[key].file) + ' and ' + path.relative(ROOT, file),
+      );
+    }
+    found[key] = { name: name, lang: code, file: file, collection: collection };
+  }
+
+  i18n.codes().forEach(function (code) {
+    var sub = code === i18n.defaultLocale ? '' : code;
+    filesIn(path.join(SRC, 'pages', sub), '.html').forEach(function (file) {
+      add(path.join(SRC, 'pages', sub, file), null, code);
+    });
+    Object.keys(COLLECTIONS).forEach(function (collection) {
+      var dir = path.join(SRC, 'content', collection, sub);
+      filesIn(dir, '.md').forEach(function (file) {
+        add(path.join(dir, file), collection, code);
+      });
+    });
+  });
+  checkTranslations(found);
+  filesCache = found;
+  return found;
+}
+
+// A translation needs its French page, and the language's `pages` (which
+// the browser links by) must be exactly the translations on disk
+function checkTranslations(found) {
+  i18n.codes().forEach(function (code) {
+    if (code === i18n.defaultLocale) {
+      return;
+    }
+    var listed = i18n.language(code).pages || [];
+    Object.keys(found).forEach(function (key) {
+      var source = found[key];
+      if (source.lang !== code) {
+        return;
+      }
+      if (!found[source.name]) {
+        throw new Error(path.relative(ROOT, source.file) + ': no French page ' + source.name + '.html to translate');
+      }
+      if (listed.indexOf(source.name + '.html') === -1) {
+        throw new Error(path.relative(ROOT, source.file) + ': add ' + source.name + '.html to the `pages` of "' + code + '" in assets/js/translations.js');
+      }
+    });
+    listed.forEach(function (page) {
+      if (!found[code + '/' + page.replace(/\.html$/, '')]) {
+        throw new Error('assets/js/translations.js lists ' + page + ' for "' + code + '" but there is no source for ' + code + '/' + page);
+      }
+    });
+  });
+}
+
+// A layout can sit inside another one (`layout:` in its front matter);
+// the innermost comes first
+function layoutChain(name) {
+  var chain = [];
+  while (name) {
+    var file = path.join(SRC, 'layouts', name + '.html');
+    if (!fs.existsSync(file)) {
+      throw new Error('Unknown layout "' + name + '" (' + path.relative(ROOT, file) + ')');
+    }
+    var layout = frontMatter.parse(read(file), name + '.html');
+    layout.name = name;
+    chain.push(layout);
+    name = layout.data.layout;
+  }
+  return chain;
+}
+
+function buildPage(name, context) {
+  var all = sources();
+  var source = all[name];
+  if (!source) {
+    throw new Error('No source for ' + name + '.html in src/pages or src/content');
+  }
+  var parsed = source.archive ? { data: {}, body: '' } : frontMatter.parse(read(source.file), path.relative(ROOT, source.file));
+  var collection = source.archive ? ARCHIVE_PAGE : COLLECTIONS[source.collection];
+  var chain = layoutChain(parsed.data.layout || (collection ? collection.layout : 'default'));
+  var defaults = chain.map(function (layout) {
+    return Object.assign({}, layout.data, i18n.layoutDefaults(source.lang, layout.name));
+  });
+  var page = Object.assign.apply(
+    null,
+    [{}].concat(defaults.reverse(), [
+      parsed.data,
+      { name: source.name, file: name + '.html', lang: source.lang, base: new Array(name.split('/').length).join('../') },
+    ]),
+  );
+  var names = Object.keys(all).filter(function (key) {
+    return all[key].lang === i18n.defaultLocale;
+  });
+  var pageContext = Object.assign(
+    {},
+    context || defaultContext(),
+    languageContext(source.lang, source.name, names),
+    { page: page, feeds: feedLinks(source) },
+  );
+  var listing = source.listing || (PAGINATED[source.name] ? source.name : null);
+
+  function renderBlocks(body) {
+    var parts = blocks(body);
+    Object.keys(parts).forEach(function (block) {
+      page[block] = template.render(parts[block], pageContext, readPartial);
+    });
+  }
+
+  if (collection) {
+    page.body = markdown.render(parsed.body, MARKDOWN);
+    if (collection.prepare) {
+      collection.prepare(page, pageContext);
+    }
+    if (collection.check) {
+      collection.check(page, pageContext);
+    }
+  } else {
+    if (listing) {
+      paginate(page, pageContext, listing, source.number || 1);
+    }
+    renderBlocks(parsed.body);
+  }
+  chain.slice(0, -1).forEach(function (layout) {
+    renderBlocks(layout.body);
+  });
+  page.faqSchema = faqSchema(page.content || '', pageContext.site.url + '/' + i18n.url(source.name + '.html', source.lang));
+  return fillDates(template.render(chain[chain.length - 1].body, pageContext, readPartial), source.lang);
+}
+
+function fillDates(html, code) {
+  return html.replace(EMPTY_TIME, function (tag, open, date) {
+    return open + template.escapeHtml(locale.formatDate(date, code)) + '</time>';
+  });
+}
+
+function plainText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The questions of the FAQ accordions in `html` as { id, question,
+// answer }. A question without an id is #faq-<n>, the nth of the page,
+// as in assets/js/accordion.js.
+function faqEntries(html) {
+  var entries = [];
+  var match;
+  ACCORDION.lastIndex = 0;
+  while ((match = ACCORDION.exec(html))) {
+    var id = /\sid="([^"]+)"/.exec(match[1]);
+    entries.push({
+      id: id ? id[1] : FAQ_ID_PREFIX + (entries.length + 1),
+      question: plainText(match[2]),
+      answer: plainText(match[3]),
+    });
+  }
+  return entries;
+}
+
+// The schema.org FAQPage of the accordions in `html`, as JSON for a
+// <script> of the page at `url`; '' when there are none
+function faqSchema(html, url) {
+  var entries = faqEntries(html);
+  if (!entries.length) {
+    return '';
+  }
+  var data = {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: entries.map(function (entry) {
+      return {
+        '@type': 'Question',
+        name: entry.question,
+        url: url + '#' + entry.id,
+        acceptedAnswer: { '@type': 'Answer', text: entry.answer },
+      };
+    }),
+  };
+  // "</script>" in an answer must not end the script; the lines are
+  // indented like the <head>
+  return JSON.stringify(data, null, 2).replace(/</g, '\\u003c').replace(/\n/g, '\n  ');
+}
+
+// The documents of one language for the header search, from the sources
+// and from the pages just built (their FAQ accordions)
+function searchIndex(code, built) {
+  var all = files();
+  var documents = [];
+
+  function markdownText(source) {
+    var parsed = frontMatter.parse(read(source.file), path.relative(ROOT, source.file));
+    return { data: parsed.data, text: plainText(markdown.render(parsed.body, MARKDOWN)) };
+  }
+
+  Object.keys(all).forEach(function (key) {
+    var source = all[key];
+    if (source.collection !== 'specialties' || source.lang !== code) {
+      return;
+    }
+    var content = markdownText(source);
+    documents.push({
+      type: 'specialty',
+      title: content.data.heading || content.data.title,
+      url: i18n.url(source.name + '.html', code),
+      text: [content.text].concat(content.data.checklist || []).join(' '),
+    });
+  });
+  blog(code).posts.forEach(function (post) {
+    documents.push({
+      type: 'article',
+      title: post.title,
+      url: post.url,
+      text: markdownText(all[code + '/' + post.name] || all[post.name]).text,
+    });
+  });
+  Object.keys(built)
+    .sort()
+    .forEach(function (key) {
+      var source = all[key];
+      if (!source || source.lang !== code) {
+        return;
+      }
+      faqEntries(built[key]).forEach(function (entry) {
+        documents.push({
+          type: 'faq',
+          title: entry.question,
+          url: i18n.url(source.name + '.html', code) + '#' + entry.id,
+          text: entry.answer,
+        });
+      });
+    });
+  return searchEngine.buildIndex(documents, code);
+}
+
+// The feeds as { name, title, description, posts }: the whole blog at
+// blog/, then each category at its archive page's path. Like the posts,
+// they are in French; `code` only picks the language of the titles.
+function feeds(code) {
+  var messages = i18n.messages(code).feeds;
+  var posts = blog(i18n.defaultLocale);
+  return [
+    { name: FEED_LISTING, title: messages.title, description: messages.description, posts: posts.posts },
+  ].concat(
+    posts.categories.map(function (group) {
+      return {
+        name: group.name,
+        category: group.value,
+        title: messages.category.replace('{name}', group.title),
+        description: messages.categoryDescription.replace('{name}', group.title),
+        posts: group.posts,
+      };
+    }),
+  );
+}
+
+function feedUrl(name, format) {
+  return name + '/' + FEEDS[format].file;
+}
+
+// <link rel="alternate"> of every page: the blog, and the category the
+// page lists
+function feedLinks(source) {
+  var category = source.archive === 'categories' ? source.name : null;
+  return feeds(source.lang)
+    .filter(function (found) {
+      return found.name === FEED_LISTING || found.name === category;
+    })
+    .reduce(function (links, found) {
+      return links.concat(
+        Object.keys(FEEDS).map(function (format) {
+          return { type: FEEDS[format].type, title: found.title + ' (' + FEEDS[format].label + ')', url: feedUrl(found.name, format) };
+        }),
+      );
+    }, []);
+}
+
+// Readers show the content away from the site: links and images must
+// not depend on a <base>
+function absoluteLinks(html, site) {
+  return html.replace(RELATIVE_LINK, function (attribute, name, url) {
+    return name + site.url + '/' + url;
+  });
+}
+
+function feedImage(cover, site) {
+  var file = path.join(ROOT, cover);
+  if (!fs.existsSync(file)) {
+    throw new Error('Missing cover ' + cover);
+  }
+  return {
+    url: site.url + '/' + cover,
+    type: IMAGE_TYPES[path.extname(cover).toLowerCase()] || 'application/octet-stream',
+    length: fs.statSync(file).size,
+  };
+}
+
+function feedItem(post, site) {
+  var source = files()[post.name];
+  var body = markdown.render(frontMatter.parse(read(source.file), path.relative(ROOT, source.file)).body);
+  var cover = post.cover ? '<p><img src="' + template.escapeHtml(post.cover) + '" alt="' + template.escapeHtml(post.title) + '"></p>\n' : '';
+  var url = site.url + '/' + post.url;
+  return {
+    id: url,
+    url: url,
+    title: post.title,
+    summary: post.excerpt || '',
+    content: absoluteLinks(cover + body, site),
+    date: post.date,
+    author: post.author,
+    categories: [post.category].concat(post.tags || []).filter(function (category, i, all) {
+      return category && all.indexOf(category) === i;
+    }),
+    image: post.cover ? feedImage(post.cover, site) : null,
+  };
+}
+
+// The files of every feed, by path
+function feedFiles(site) {
+  var result = {};
+  feeds(i18n.defaultLocale).forEach(function (found) {
+    var self = {};
+    Object.keys(FEEDS).forEach(function (format) {
+      self[format] = site.url + '/' + feedUrl(found.name, format);
+    });
+    var description = {
+      title: found.title,
+      description: found.description,
+      lang: i18n.defaultLocale,
+      home: site.url + '/' + (found.category ? found.name : FEED_LISTING) + '.html',
+      self: self,
+      author: { name: site.clinic.name, url: site.url + '/' },
+      updated: found.posts.length ? found.posts[0].date : '1970-01-01',
+      items: found.posts.map(function (post) {
+        return feedItem(post, site);
+      }),
+    };
+    Object.keys(FEEDS).forEach(function (format) {
+      result[feedUrl(found.name, format)] = FEEDS[format].render(description);
+    });
+  });
+  return result;
+}
+
+function pageNames() {
+  return Object.keys(sources()).sort();
+}
+
+function main(args) {
+  var check = args.indexOf('--check') !== -1;
+  var names = args.filter(function (arg) {
+    return arg.indexOf('--') !== 0;
+  });
+  var context = defaultContext();
+  var stale = [];
+  var built = {};
+  var outputs = [];
+
+  function output(file, content) {
+    var target = path.join(ROOT, file);
+    outputs.push(file);
+    var current = fs.existsSync(target) ? read(target) : null;
+
+    if (check) {
+      if (current !== content) {
+        stale.push(file);
+      }
+    } else if (current !== content) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+      console.log('built ' + file);
+    }
+  }
+
+  (names.length ? names : pageNames()).forEach(function (name) {
+    name = name.replace(/\.html$/, '');
+    built[name] = buildPage(name, context);
+    output(name + '.html', built[name]);
+  });
+  // The indexes read every page's FAQ, a partial build leaves them and
+  // the feeds be
+  if (!names.length) {
+    i18n.codes().forEach(function (code) {
+      output(SEARCH_DIR + '/' + code + '.json', JSON.stringify(searchIndex(code, built)) + '\n');
+    });
+    var written = feedFiles(context.site);
+    Object.keys(written).forEach(function (file) {
+      output(file, written[file]);
+    });
+    removeStale();
+  }
+
+  // What the last full build wrote and this one doesn't (a page renamed
+  // or removed from src/) goes, then the list is written for the next
+  function removeStale() {
+    var list = path.join(ROOT, OUTPUTS);
+    var previous = fs.existsSync(list) ? JSON.parse(read(list)) : [];
+    var current = outputs.slice().sort();
+    previous.forEach(function (file) {
+      var target = path.join(ROOT, file);
+      if (current.indexOf(file) !== -1 || !fs.existsSync(target)) {
+        return;
+      }
+      if (check) {
+        stale.push(file + ' (no longer built)');
+        return;
+      }
+      fs.unlinkSync(target);
+      console.log('removed ' + file);
+      for (var dir = path.dirname(target); dir !== ROOT && !fs.readdirSync(dir).length; dir = path.dirname(dir)) {
+        fs.rmdirSync(dir);
+      }
+    });
+    output(OUTPUTS, JSON.stringify(current, null, 2) + '\n');
+  }
+
+  if (stale.length) {
+    console.error('Out of date, run `node tools/build.js`:\n  ' + stale.join('\n  '));
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  buildPage: buildPage,
+  pageNames: pageNames,
+};
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+|--------------------------------------------------------------------------
+| Check Links
+|--------------------------------------------------------------------------
+|
+| Walks every page at the root of the site and reports:
+|
+|   missing page     a link to a local page that does not exist
+|   saved 404        a link to a page that is only a saved "404" error
+|                    page (and the page itself)
+|   missing asset    an image, script, stylesheet, video… that is not on
+|                    disk, including url(…) in inline styles and in our
+|                    own stylesheets
+|   missing anchor   `#id` or `page.html#id` where the page has no
+|                    element with that id
+|
+| External URLs, mailto:, tel:, sms: and bare `#` links are not checked.
+| Links are resolved from the page's <base href> when it has one (the
+| translated pages under ar/ and en/ point it at the root).
+|
+| Files the clinic still has to provide are listed in KNOWN_MISSING: they
+| are reported apart, as "known missing", and do not fail the check.
+|
+| Usage:
+|   node tools/check-links.js [dir]      the site at dir, by default the
+|                                        root of the repository
+|
+| Exits 1 when anything but a known missing file is reported, so a
+| deploy can be gated on it.
+|
+*/
+
+var fs = require('fs');
+var path = require('path');
+
+var ROOT = path.resolve(__dirname, '..');
+var SKIP_DIRS = ['.git', 'node_modules', 'src', 'tools'];
+// Paths from the root of the site, until the files are added
+var KNOWN_MISSING = ['assets/video/eye-surgery.mp4'];
+var ATTRIBUTE = /\s(href|src|srcset|data-src|poster|action)\s*=\s*(["'])(.*?)\2/gi;
+var CSS_URL = /url\(\s*(["']?)([^"')]+)\1\s*\)/gi;
+var ID = /\sid\s*=\s*(["'])(.*?)\1/gi;
+var BASE = /<base\s[^>]*?href\s*=\s*(["'])(.*?)\1[^>]*>/i;
+var NOT_CHECKED = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#?$)/i;
+
+function read(file) {
+  return fs.readFileSync(file, 'utf8');
+}
+
+function relative(root, file) {
+  return path.relative(root, file).split(path.sep).join('/');
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+function htmlFiles(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .reduce(function (files, entry) {
+      var file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return SKIP_DIRS.indexOf(entry.name) === -1 ? files.concat(htmlFiles(file)) : files;
+      }
+      return /\.html?$/i.test(entry.name) ? files.concat(file) : files;
+    }, [])
+    .sort();
+}
+
+// Pages saved from a hosting error ("404: NOT_FOUND") are not real pages
+function isErrorPage(source) {
+  var title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(source);
+  return !!title && /\b404\b|not[_ ]found/i.test(title[1]);
+}
+
+function ids(source) {
+  var found = {};
+  var match;
+  ID.lastIndex = 0;
+  while ((match = ID.exec(source))) {
+    found[match[2]] = true;
+  }
+  return found;
+}
+
+// The directory relative links of a page are resolved from
+function baseDir(file, source) {
+  var base = BASE.exec(source);
+  return base ? path.resolve(path.dirname(file), base[2]) : path.dirname(file);
+}
+
+function references(source) {
+  var refs = [];
+  var base = BASE.exec(source);
+  var match;
+
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(source))) {
+    if (base && match.index >= base.index && match.index < base.index + base[0].length) {
+      continue;
+    }
+    var name = match[1].toLowerCase();
+    var values =
+      name === 'srcset'
+        ? match[3].split(',').map(function (candidate) {
+            return candidate.trim().split(/\s+/)[0];
+          })
+        : [match[3]];
+    values.forEach(function (value) {
+      refs.push({ url: value.trim(), index: match.index, asset: name !== 'href' && name !== 'action' });
+    });
+  }
+  CSS_URL.lastIndex = 0;
+  while ((match = CSS_URL.exec(source))) {
+    refs.push({ url: match[2].trim(), index: match.index, asset: true });
+  }
+  return refs.filter(function (ref) {
+    return ref.url && !NOT_CHECKED.test(ref.url) && ref.url.indexOf('{{') === -1;
+  });
+}
+
+function splitUrl(url) {
+  var hash = url.indexOf('#');
+  var target = hash === -1 ? url : url.slice(0, hash);
+  return {
+    file: decodeURIComponent(target.replace(/\?.*$/, '')),
+    anchor: hash === -1 ? '' : decodeURIComponent(url.slice(hash + 1)),
+  };
+}
+
+function resolve(root, dir, file) {
+  var base = file.charAt(0) === '/' ? root : dir;
+  var target = path.join(base, file);
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    target = path.join(target, 'index.html');
+  }
+  return target;
+}
+
+function checker(root) {
+  var problems = [];
+  var pages = {};
+  var stylesheets = {};
+
+  function page(file) {
+    if (!pages[file]) {
+      var source = read(file);
+      pages[file] = { source: source, ids: ids(source), error: isErrorPage(source) };
+    }
+    return pages[file];
+  }
+
+  function report(file, source, index, kind, url) {
+    problems.push({ at: relative(root, file) + ':' + lineAt(source, index), kind: kind, url: url });
+  }
+
+  // Our own stylesheets pull in fonts and images through url(…)
+  function checkStylesheet(file) {
+    if (stylesheets[file] || /\.min\.css$/.test(file) || !fs.existsSync(file)) {
+      return;
+    }
+    stylesheets[file] = true;
+    var source = read(file);
+    var match;
+    CSS_URL.lastIndex = 0;
+    while ((match = CSS_URL.exec(source))) {
+      var url = match[2].trim();
+      if (!NOT_CHECKED.test(url) && !fs.existsSync(resolve(root, path.dirname(file), splitUrl(url).file))) {
+        report(file, source, match.index, 'missing asset', url);
+      }
+    }
+  }
+
+  function checkPage(file) {
+    var current = page(file);
+    if (current.error) {
+      problems.push({ at: relative(root, file), kind: 'saved 404', url: '(the page itself)' });
+      return;
+    }
+    var dir = baseDir(file, current.source);
+    references(current.source).forEach(function (ref) {
+      var parts = splitUrl(ref.url);
+      var target = parts.file ? resolve(root, dir, parts.file) : file;
+
+      if (!fs.existsSync(target)) {
+        var known = KNOWN_MISSING.indexOf(relative(root, target)) !== -1;
+        report(file, current.source, ref.index, known ? 'known missing' : ref.asset ? 'missing asset' : 'missing page', ref.url);
+        return;
+      }
+      if (/\.css$/i.test(target)) {
+        checkStylesheet(target);
+      }
+      if (ref.asset || !/\.html?$/i.test(target)) {
+        return;
+      }
+      if (page(target).error) {
+        report(file, current.source, ref.index, 'saved 404', ref.url);
+      } else if (parts.anchor && !page(target).ids[parts.anchor]) {
+        report(file, current.source, ref.index, 'missing anchor', ref.url);
+      }
+    });
+  }
+
+  return {
+    run: function () {
+      htmlFiles(root).forEach(checkPage);
+      return problems;
+    },
+  };
+}
+
+function isKnown(problem) {
+  return problem.kind === 'known missing';
+}
+
+function main() {
+  var found = checker(path.resolve(process.argv[2] || ROOT)).run();
+  var problems = found.filter(function (problem) {
+    return !isKnown(problem);
+  });
+
+  found.forEach(function (problem) {
+    console.log(problem.at + '  ' + problem.kind + '  ' + problem.url);
+  });
+  if (problems.length) {
+    console.error(problems.length + ' problem' + (problems.length > 1 ? 's' : '') + ' found');
+    process.exitCode = 1;
+  } else {
+    console.log('No broken links' + (found.length ? ' (' + found.length + ' known missing)' : ''));
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  // Every problem, the known missing files included
+  check: function (root) {
+    return checker(root || ROOT).run();
+  },
+};
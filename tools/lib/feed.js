@@ -0,0 +1,186 @@
+'use strict';
+
+/*
+|--------------------------------------------------------------------------
+| Feed
+|--------------------------------------------------------------------------
+|
+| One list of articles written out as the three feed formats readers
+| subscribe to:
+|
+|   rss(feed)    RSS 2.0, the full article in <content:encoded>
+|   atom(feed)   Atom 1.0
+|   json(feed)   JSON Feed 1.1
+|
+| A feed is:
+|
+|   { title, description, lang, home, self: { rss, atom, json }, author,
+|     updated, items: [{ id, url, title, summary, content, date, author,
+|     categories, image: { url, type, length } }] }
+|
+| Every URL is absolute; `content` is HTML; `updated` and the items'
+| `date` are "YYYY-MM-DD", taken as midnight UTC so that the output only
+| changes with the articles.
+|
+*/
+
+var escapeHtml = require('./template').escapeHtml;
+
+function escape(value) {
+  return escapeHtml(value === undefined || value === null ? '' : value);
+}
+
+function utc(date) {
+  var parts = String(date).split('-');
+  return new Date(Date.UTC(+parts[0], parts[1] - 1, +parts[2]));
+}
+
+function rfc822(date) {
+  return utc(date).toUTCString();
+}
+
+function iso(date) {
+  return utc(date).toISOString().replace('.000Z', 'Z');
+}
+
+function lines(list) {
+  return list
+    .filter(function (line) {
+      return line !== null;
+    })
+    .join('\n');
+}
+
+function rss(feed) {
+  return (
+    lines([
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      '    <title>' + escape(feed.title) + '</title>',
+      '    <link>' + escape(feed.home) + '</link>',
+      '    <description>' + escape(feed.description) + '</description>',
+      '    <language>' + escape(feed.lang) + '</language>',
+      '    <lastBuildDate>' + rfc822(feed.updated) + '</lastBuildDate>',
+      '    <atom:link href="' + escape(feed.self.rss) + '" rel="self" type="application/rss+xml"/>',
+    ]
+      .concat(
+        feed.items.map(function (item) {
+          return lines(
+            [
+              '    <item>',
+              '      <title>' + escape(item.title) + '</title>',
+              '      <link>' + escape(item.url) + '</link>',
+              '      <guid isPermaLink="true">' + escape(item.id) + '</guid>',
+              '      <pubDate>' + rfc822(item.date) + '</pubDate>',
+              item.author ? '      <dc:creator>' + escape(item.author) + '</dc:creator>' : null,
+            ]
+              .concat(
+                item.categories.map(function (category) {
+                  return '      <category>' + escape(category) + '</category>';
+                }),
+              )
+              .concat([
+                '      <description>' + escape(item.summary) + '</description>',
+                '      <content:encoded>' + escape(item.content) + '</content:encoded>',
+                item.image
+                  ? '      <enclosure url="' + escape(item.image.url) + '" length="' + item.image.length + '" type="' + escape(item.image.type) + '"/>'
+                  : null,
+                '    </item>',
+              ]),
+          );
+        }),
+      )
+      .concat(['  </channel>', '</rss>'])) + '\n'
+  );
+}
+
+function atom(feed) {
+  return (
+    lines([
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="' + escape(feed.lang) + '">',
+      '  <title>' + escape(feed.title) + '</title>',
+      '  <subtitle>' + escape(feed.description) + '</subtitle>',
+      '  <id>' + escape(feed.self.atom) + '</id>',
+      '  <link href="' + escape(feed.home) + '"/>',
+      '  <link rel="self" type="application/atom+xml" href="' + escape(feed.self.atom) + '"/>',
+      '  <updated>' + iso(feed.updated) + '</updated>',
+      '  <author>',
+      '    <name>' + escape(feed.author.name) + '</name>',
+      '    <uri>' + escape(feed.author.url) + '</uri>',
+      '  </author>',
+    ]
+      .concat(
+        feed.items.map(function (item) {
+          return lines(
+            [
+              '  <entry>',
+              '    <title>' + escape(item.title) + '</title>',
+              '    <id>' + escape(item.id) + '</id>',
+              '    <link href="' + escape(item.url) + '"/>',
+              item.image
+                ? '    <link rel="enclosure" type="' + escape(item.image.type) + '" length="' + item.image.length + '" href="' + escape(item.image.url) + '"/>'
+                : null,
+              '    <published>' + iso(item.date) + '</published>',
+              '    <updated>' + iso(item.date) + '</updated>',
+              item.author ? '    <author><name>' + escape(item.author) + '</name></author>' : null,
+            ]
+              .concat(
+                item.categories.map(function (category) {
+                  return '    <category term="' + escape(category) + '"/>';
+                }),
+              )
+              .concat([
+                '    <summary>' + escape(item.summary) + '</summary>',
+                '    <content type="html">' + escape(item.content) + '</content>',
+                '  </entry>',
+              ]),
+          );
+        }),
+      )
+      .concat(['</feed>'])) + '\n'
+  );
+}
+
+function json(feed) {
+  return (
+    JSON.stringify(
+      {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.home,
+        feed_url: feed.self.json,
+        description: feed.description,
+        language: feed.lang,
+        authors: [{ name: feed.author.name, url: feed.author.url }],
+        items: feed.items.map(function (item) {
+          var entry = {
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            content_html: item.content,
+            date_published: iso(item.date),
+            tags: item.categories,
+          };
+          if (item.image) {
+            entry.image = item.image.url;
+          }
+          if (item.author) {
+            entry.authors = [{ name: item.author }];
+          }
+          return entry;
+        }),
+      },
+      null,
+      2,
+    ) + '\n'
+  );
+}
+
+module.exports = {
+  rss: rss,
+  atom: atom,
+  json: json,
+};
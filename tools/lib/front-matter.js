@@ -0,0 +1,137 @@
+'use strict';
+
+/*
+|--------------------------------------------------------------------------
+| Front Matter
+|--------------------------------------------------------------------------
+|
+| Reads the `---` block at the top of a source file. Only the part of YAML
+| our pages need is understood:
+|
+|   title: Dr. Choaib Sadouni         strings, quoted or not
+|   schema: true                      true / false, numbers
+|   scripts:                          lists of strings
+|     - assets/js/booking.js
+|   faq:                              lists of maps
+|     - q: Combien de temps dure l’intervention ?
+|       a: Une quinzaine de minutes.
+|
+| Returns `{ data, body }`; a file without front matter gives `{}` data.
+|
+*/
+
+var FENCE = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+function scalar(text) {
+  var value = text.trim();
+  if (/^(["']).*\1$/.test(value)) {
+    return value.charAt(0) === '"' ? JSON.parse(value) : value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value === '' || value === '~' || value === 'null') {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+// `key: value` → [key, value]; the key may not contain a colon
+function pair(text) {
+  var match = /^([\w-]+):(?:\s+(.*)|\s*)$/.exec(text);
+  return match ? [match[1], match[2] === undefined ? '' : match[2]] : null;
+}
+
+function parseData(source, file) {
+  var lines = source.split(/\r?\n/);
+  var data = {};
+  var i = 0;
+
+  function fail(message) {
+    throw new Error((file ? file + ': ' : '') + 'front matter line ' + (i + 1) + ': ' + message);
+  }
+
+  function isBlank(line) {
+    return /^\s*(#.*)?$/.test(line);
+  }
+
+  // The `- ` items under a key, each a string or a map
+  function parseList(indent) {
+    var list = [];
+    while (i < lines.length) {
+      if (isBlank(lines[i])) {
+        i++;
+        continue;
+      }
+      var line = lines[i];
+      if (indentOf(line) !== indent || !/^ *- /.test(line)) {
+        break;
+      }
+      var text = line.slice(indent + 2);
+      var entry = pair(text);
+      i++;
+      if (!entry) {
+        list.push(scalar(text));
+        continue;
+      }
+      var item = {};
+      item[entry[0]] = scalar(entry[1]);
+      while (i < lines.length && !isBlank(lines[i]) && indentOf(lines[i]) === indent + 2) {
+        var field = pair(lines[i].slice(indent + 2));
+        if (!field) {
+          fail('expected "key: value"');
+        }
+        item[field[0]] = scalar(field[1]);
+        i++;
+      }
+      list.push(item);
+    }
+    return list;
+  }
+
+  while (i < lines.length) {
+    if (isBlank(lines[i])) {
+      i++;
+      continue;
+    }
+    if (indentOf(lines[i]) !== 0) {
+      fail('unexpected indentation');
+    }
+    var entry = pair(lines[i]);
+    if (!entry) {
+      fail('expected "key: value"');
+    }
+    i++;
+    if (entry[1] !== '') {
+      data[entry[0]] = scalar(entry[1]);
+      continue;
+    }
+    while (i < lines.length && isBlank(lines[i])) {
+      i++;
+    }
+    data[entry[0]] = i < lines.length && /^ +- /.test(lines[i]) ? parseList(indentOf(lines[i])) : null;
+  }
+  return data;
+}
+
+function parse(source, file) {
+  var match = FENCE.exec(source);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+  return {
+    data: parseData(match[1] || '', file),
+    body: source.slice(match[0].length),
+  };
+}
+
+module.exports = {
+  parse: parse,
+};
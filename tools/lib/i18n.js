@@ -0,0 +1,85 @@
+'use strict';
+
+/*
+|--------------------------------------------------------------------------
+| I18n
+|--------------------------------------------------------------------------
+|
+| The languages of assets/js/translations.js as the build sees them; the
+| same rules as Sadouni.i18n in the browser:
+|
+|   codes()              language codes, French (the default) first
+|   messages(code)       the language's messages over the French ones
+|   layoutDefaults(code, layout)
+|   specialty(code, entry)   catalog entry with its translated label
+|   url(page, code)      "ar/contact.html", or the French page when the
+|                        language has no translation of it
+|
+*/
+
+var translations = require('../../assets/js/translations.js');
+
+var DEFAULT_LOCALE = 'fr';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Nested objects are merged key by key, anything else is replaced
+function merge(base, over) {
+  var result = Object.assign({}, base);
+  Object.keys(over || {}).forEach(function (key) {
+    result[key] = isObject(result[key]) && isObject(over[key]) ? merge(result[key], over[key]) : over[key];
+  });
+  return result;
+}
+
+function codes() {
+  return [DEFAULT_LOCALE].concat(
+    Object.keys(translations).filter(function (code) {
+      return code !== DEFAULT_LOCALE;
+    }),
+  );
+}
+
+function language(code) {
+  var found = translations[code];
+  if (!found) {
+    throw new Error('Unknown language "' + code + '" (assets/js/translations.js)');
+  }
+  return found;
+}
+
+function messages(code) {
+  return merge(translations[DEFAULT_LOCALE].messages, language(code).messages);
+}
+
+function layoutDefaults(code, layout) {
+  var fallback = translations[DEFAULT_LOCALE].layouts[layout];
+  return merge(fallback, (language(code).layouts || {})[layout]);
+}
+
+function specialty(code, entry) {
+  return Object.assign({}, entry, (language(code).specialties || {})[entry.id]);
+}
+
+function isTranslated(page, code) {
+  var pages = language(code).pages;
+  return code === DEFAULT_LOCALE || (!!pages && pages.indexOf(page) !== -1);
+}
+
+function url(page, code) {
+  var file = page.split(/[?#]/)[0];
+  return code !== DEFAULT_LOCALE && isTranslated(file, code) ? code + '/' + page : page;
+}
+
+module.exports = {
+  defaultLocale: DEFAULT_LOCALE,
+  codes: codes,
+  language: language,
+  messages: messages,
+  layoutDefaults: layoutDefaults,
+  specialty: specialty,
+  isTranslated: isTranslated,
+  url: url,
+};
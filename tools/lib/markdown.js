@@ -0,0 +1,141 @@
+'use strict';
+
+/*
+|--------------------------------------------------------------------------
+| Markdown
+|--------------------------------------------------------------------------
+|
+| The Markdown our content files are written in:
+|
+|   ## Heading / ### Heading
+|   paragraphs, **bold**, *italic*, `code`, [link](url), ![alt](src)
+|   > quotes
+|   - bullet lists / 1. numbered lists
+|   <raw html>                 a block starting with a tag is kept as is
+|
+| Each block goes through a renderer that callers can replace to add the
+| classes of the theme:
+|
+|   paragraph(html)   heading(level, html)   quote(html)
+|   list(ordered, items)   images([{ src, alt }])  (a paragraph that
+|                                                   only holds images)
+|
+*/
+
+var escapeHtml = require('./template').escapeHtml;
+
+var defaults = {
+  paragraph: function (html) {
+    return '<p>' + html + '</p>';
+  },
+  heading: function (level, html) {
+    return '<h' + level + '>' + html + '</h' + level + '>';
+  },
+  quote: function (html) {
+    return '<blockquote>' + html + '</blockquote>';
+  },
+  list: function (ordered, items) {
+    var tag = ordered ? 'ol' : 'ul';
+    return (
+      '<' + tag + '>' +
+      items
+        .map(function (item) {
+          return '<li>' + item + '</li>';
+        })
+        .join('') +
+      '</' + tag + '>'
+    );
+  },
+  images: function (images) {
+    return images
+      .map(function (image) {
+        return '<img src="' + escapeHtml(image.src) + '" alt="' + escapeHtml(image.alt) + '">';
+      })
+      .join('\n');
+  },
+};
+
+var IMAGE = /!\[([^\]]*)\]\(([^)\s]+)\)/g;
+
+function inline(text) {
+  var codes = [];
+  var html = escapeHtml(text)
+    .replace(/`([^`]+)`/g, function (_, code) {
+      codes.push('<code>' + code + '</code>');
+      return '\u0000' + (codes.length - 1) + '\u0000';
+    })
+    .replace(IMAGE, '<img src="$2" alt="$1">')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>');
+  return html.replace(/\u0000(\d+)\u0000/g, function (_, i) {
+    return codes[i];
+  });
+}
+
+// "![a](x) ![b](y)" → [{ alt: 'a', src: 'x' }, …], or null for any other text
+function onlyImages(text) {
+  var images = [];
+  var rest = text.replace(IMAGE, function (_, alt, src) {
+    images.push({ alt: alt, src: src });
+    return '';
+  });
+  return images.length && !rest.trim() ? images : null;
+}
+
+function blocks(source) {
+  return source
+    .replace(/\r\n?/g, '\n')
+    .split(/\n[ \t]*\n/)
+    .map(function (block) {
+      return block.replace(/^\n+|\s+$/g, '');
+    })
+    .filter(Boolean);
+}
+
+function render(source, renderers) {
+  var use = Object.assign({}, defaults, renderers);
+
+  return blocks(source)
+    .map(function (block) {
+      var lines = block.split('\n');
+      var heading = /^(#{1,6})\s+(.*)$/.exec(block);
+      var images;
+
+      if (/^</.test(block)) {
+        return block;
+      }
+      if (heading && lines.length === 1) {
+        return use.heading(heading[1].length, inline(heading[2]));
+      }
+      if (lines.every(function (line) { return /^>/.test(line); })) {
+        return use.quote(
+          inline(
+            lines
+              .map(function (line) {
+                return line.replace(/^>\s?/, '');
+              })
+              .join(' '),
+          ),
+        );
+      }
+      if (/^([-*]|\d+\.)\s/.test(lines[0])) {
+        var ordered = /^\d+\./.test(lines[0]);
+        var items = block.split(/\n(?=(?:[-*]|\d+\.)\s)/).map(function (item) {
+          return inline(item.replace(/^(?:[-*]|\d+\.)\s+/, '').replace(/\n\s*/g, ' '));
+        });
+        return use.list(ordered, items);
+      }
+      images = onlyImages(block);
+      if (images) {
+        return use.images(images);
+      }
+      return use.paragraph(inline(lines.join(' ')));
+    })
+    .join('\n');
+}
+
+module.exports = {
+  render: render,
+  inline: inline,
+};
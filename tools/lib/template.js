@@ -0,0 +1,184 @@
+'use strict';
+
+/*
+|--------------------------------------------------------------------------
+| Template
+|--------------------------------------------------------------------------
+|
+| The small mustache-like language of the layouts, partials and pages
+| under src/:
+|
+|   {{ path.to.value }}           HTML-escaped value, safe in single- or
+|                                 double-quoted attributes
+|   {{{ path.to.value }}}         raw value
+|   {{> name }}                   src/partials/<name>.html, same context
+|   {{#if path}} … {{else}} … {{/if}}
+|   {{#each path}} … {{/each}}    `this` is the item; names not found on
+|                                 the item are looked up in the outer
+|                                 context; @index, @first and @last
+|                                 tell where the item stands
+|
+| A block or partial tag alone on its line takes the whole line with it,
+| so templates can be indented like the HTML around them.
+|
+*/
+
+var TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#\/>]?)\s*(else|@?[\w.\-\/]+)(?:\s+(@?[\w.\-]+))?\s*\}\}/g;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Block and partial tags that stand alone on a line swallow that line
+function isStandalone(source, start, end) {
+  var lineStart = source.lastIndexOf('\n', start - 1) + 1;
+  var lineEnd = source.indexOf('\n', end);
+  var before = source.slice(lineStart, start);
+  var after = source.slice(end, lineEnd === -1 ? source.length : lineEnd);
+  return /^[ \t]*$/.test(before) && /^[ \t\r]*$/.test(after)
+    ? { start: lineStart, end: lineEnd === -1 ? source.length : lineEnd + 1 }
+    : null;
+}
+
+function parse(source) {
+  var root = { type: 'root', children: [] };
+  var stack = [root];
+  var cursor = 0;
+  var match;
+
+  // Nodes go to the open block, or to its inverse branch after {{else}}
+  function target() {
+    var node = stack[stack.length - 1];
+    return node.inElse ? node.inverse : node.children;
+  }
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source))) {
+    var raw = match[1];
+    var sigil = match[2];
+    var name = match[3];
+    var block = !raw && (sigil !== '' || name === 'else');
+    var span = block ? isStandalone(source, match.index, TAG.lastIndex) : null;
+    var text = source.slice(cursor, span ? span.start : match.index);
+    var open = stack[stack.length - 1];
+
+    if (text) {
+      target().push({ type: 'text', value: text });
+    }
+    cursor = span ? span.end : TAG.lastIndex;
+    TAG.lastIndex = cursor;
+
+    if (raw) {
+      target().push({ type: 'raw', path: raw });
+    } else if (sigil === '>') {
+      target().push({ type: 'partial', name: name });
+    } else if (sigil === '#') {
+      var node = { type: name, path: match[4], children: [], inverse: [] };
+      target().push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      if (open.type !== name) {
+        throw new Error('Unexpected {{/' + name + '}}');
+      }
+      stack.pop();
+    } else if (name === 'else') {
+      if (open === root) {
+        throw new Error('{{else}} outside of a block');
+      }
+      open.inElse = true;
+    } else {
+      target().push({ type: 'value', path: name });
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error('Unclosed {{#' + stack[stack.length - 1].type + '}}');
+  }
+  if (cursor < source.length) {
+    root.children.push({ type: 'text', value: source.slice(cursor) });
+  }
+  return root.children;
+}
+
+function lookup(contexts, path) {
+  if (path === 'this') {
+    return contexts[contexts.length - 1];
+  }
+  var keys = path.replace(/^this\./, '').split('.');
+  for (var i = contexts.length - 1; i >= 0; i--) {
+    var value = contexts[i];
+    if (value !== null && typeof value === 'object' && keys[0] in value) {
+      for (var k = 0; k < keys.length && value !== undefined && value !== null; k++) {
+        value = value[keys[k]];
+      }
+      return value;
+    }
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function renderNodes(nodes, contexts, partials) {
+  return nodes
+    .map(function (node) {
+      var value;
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'value':
+          value = lookup(contexts, node.path);
+          return value === undefined || value === null ? '' : escapeHtml(value);
+        case 'raw':
+          value = lookup(contexts, node.path);
+          return value === undefined || value === null ? '' : String(value);
+        case 'partial':
+          return renderNodes(partials.get(node.name), contexts, partials);
+        case 'if':
+          value = lookup(contexts, node.path);
+          return renderNodes(isTruthy(value) ? node.children : node.inverse, contexts, partials);
+        case 'each':
+          value = lookup(contexts, node.path) || [];
+          if (!value.length) {
+            return renderNodes(node.inverse, contexts, partials);
+          }
+          return value
+            .map(function (item, index) {
+              var position = { '@index': index, '@first': index === 0, '@last': index === value.length - 1 };
+              return renderNodes(node.children, contexts.concat([position, item]), partials);
+            })
+            .join('');
+        default:
+          throw new Error('Unknown block {{#' + node.type + '}}');
+      }
+    })
+    .join('');
+}
+
+// Partials are read lazily and parsed once
+function partialLoader(readPartial) {
+  var cache = {};
+  return {
+    get: function (name) {
+      if (!cache[name]) {
+        cache[name] = parse(readPartial(name));
+      }
+      return cache[name];
+    },
+  };
+}
+
+function render(source, context, readPartial) {
+  return renderNodes(parse(source), [context], partialLoader(readPartial));
+}
+
+module.exports = {
+  render: render,
+  escapeHtml: escapeHtml,
+};